@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "TestResult_mode_durationSec_createdAt_idx" ON "TestResult"("mode", "durationSec", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "TestResult_userId_wpm_idx" ON "TestResult"("userId", "wpm");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "TestResult" ADD COLUMN     "flagReasons" TEXT[],
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'accepted';
+
+-- CreateIndex
+CREATE INDEX "TestResult_status_idx" ON "TestResult"("status");
@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "EmailOutbox" (
+    "id" TEXT NOT NULL,
+    "template" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    "data" JSONB,
+    "locale" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 8,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EmailOutbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "EmailAttempt" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "attempt" INTEGER NOT NULL,
+    "success" BOOLEAN NOT NULL,
+    "error" TEXT,
+    "providerMessageId" TEXT,
+    "durationMs" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EmailOutbox_status_nextAttemptAt_idx" ON "EmailOutbox"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "EmailAttempt_messageId_idx" ON "EmailAttempt"("messageId");
+
+-- AddForeignKey
+ALTER TABLE "EmailAttempt" ADD CONSTRAINT "EmailAttempt_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "EmailOutbox"("id") ON DELETE CASCADE ON UPDATE CASCADE;
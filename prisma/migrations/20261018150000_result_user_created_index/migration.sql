@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "TestResult_userId_createdAt_idx" ON "TestResult"("userId", "createdAt");
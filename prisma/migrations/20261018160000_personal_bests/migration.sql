@@ -0,0 +1,58 @@
+-- CreateTable
+CREATE TABLE "PersonalBest" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "durationSec" INTEGER NOT NULL,
+    "wpm" INTEGER NOT NULL,
+    "accuracy" DOUBLE PRECISION NOT NULL,
+    "resultId" TEXT NOT NULL,
+    "achievedAt" TIMESTAMP(3) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PersonalBest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PersonalBestHistory" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "durationSec" INTEGER NOT NULL,
+    "wpm" INTEGER NOT NULL,
+    "accuracy" DOUBLE PRECISION NOT NULL,
+    "previousWpm" INTEGER,
+    "resultId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PersonalBestHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PersonalBest_resultId_key" ON "PersonalBest"("resultId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PersonalBest_userId_mode_durationSec_key" ON "PersonalBest"("userId", "mode", "durationSec");
+
+-- CreateIndex
+CREATE INDEX "PersonalBestHistory_userId_mode_durationSec_createdAt_idx" ON "PersonalBestHistory"("userId", "mode", "durationSec", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PersonalBest" ADD CONSTRAINT "PersonalBest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PersonalBest" ADD CONSTRAINT "PersonalBest_resultId_fkey" FOREIGN KEY ("resultId") REFERENCES "TestResult"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PersonalBestHistory" ADD CONSTRAINT "PersonalBestHistory_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PersonalBestHistory" ADD CONSTRAINT "PersonalBestHistory_resultId_fkey" FOREIGN KEY ("resultId") REFERENCES "TestResult"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill current bests from existing accepted results
+INSERT INTO "PersonalBest" ("id", "userId", "mode", "durationSec", "wpm", "accuracy", "resultId", "achievedAt", "updatedAt")
+SELECT DISTINCT ON ("userId", COALESCE("mode", ''), COALESCE("durationSec", 0))
+  gen_random_uuid()::text, "userId", COALESCE("mode", ''), COALESCE("durationSec", 0), "wpm", "accuracy", "id", "createdAt", NOW()
+FROM "TestResult"
+WHERE "userId" IS NOT NULL AND "status" = 'accepted'
+ORDER BY "userId", COALESCE("mode", ''), COALESCE("durationSec", 0), "wpm" DESC, "accuracy" DESC, "createdAt" ASC;
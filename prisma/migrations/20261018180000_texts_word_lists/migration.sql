@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "TestResult" ADD COLUMN     "seed" TEXT,
+ADD COLUMN     "textId" TEXT,
+ADD COLUMN     "wordListId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Text" (
+    "id" TEXT NOT NULL,
+    "ownerId" TEXT,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "source" TEXT,
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "difficulty" TEXT,
+    "visibility" TEXT NOT NULL DEFAULT 'private',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Text_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WordList" (
+    "id" TEXT NOT NULL,
+    "ownerId" TEXT,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "words" TEXT[],
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "difficulty" TEXT,
+    "visibility" TEXT NOT NULL DEFAULT 'private',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WordList_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Text_visibility_language_createdAt_idx" ON "Text"("visibility", "language", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Text_ownerId_idx" ON "Text"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "WordList_visibility_language_createdAt_idx" ON "WordList"("visibility", "language", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "WordList_ownerId_idx" ON "WordList"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "TestResult_textId_idx" ON "TestResult"("textId");
+
+-- CreateIndex
+CREATE INDEX "TestResult_wordListId_idx" ON "TestResult"("wordListId");
+
+-- AddForeignKey
+ALTER TABLE "TestResult" ADD CONSTRAINT "TestResult_textId_fkey" FOREIGN KEY ("textId") REFERENCES "Text"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TestResult" ADD CONSTRAINT "TestResult_wordListId_fkey" FOREIGN KEY ("wordListId") REFERENCES "WordList"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Text" ADD CONSTRAINT "Text_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WordList" ADD CONSTRAINT "WordList_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- AlterTable
+ALTER TABLE "TestResult" ADD COLUMN     "challengeId" TEXT;
+
+-- CreateTable
+CREATE TABLE "DailyChallenge" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "mode" TEXT NOT NULL DEFAULT 'daily',
+    "durationSec" INTEGER NOT NULL,
+    "seed" TEXT NOT NULL,
+    "textId" TEXT,
+    "wordListId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DailyChallenge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ChallengeEntry" (
+    "id" TEXT NOT NULL,
+    "challengeId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "resultId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChallengeEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DailyChallenge_date_key" ON "DailyChallenge"("date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChallengeEntry_resultId_key" ON "ChallengeEntry"("resultId");
+
+-- CreateIndex
+CREATE INDEX "ChallengeEntry_userId_idx" ON "ChallengeEntry"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChallengeEntry_challengeId_userId_key" ON "ChallengeEntry"("challengeId", "userId");
+
+-- CreateIndex
+CREATE INDEX "TestResult_challengeId_idx" ON "TestResult"("challengeId");
+
+-- AddForeignKey
+ALTER TABLE "TestResult" ADD CONSTRAINT "TestResult_challengeId_fkey" FOREIGN KEY ("challengeId") REFERENCES "DailyChallenge"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DailyChallenge" ADD CONSTRAINT "DailyChallenge_textId_fkey" FOREIGN KEY ("textId") REFERENCES "Text"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DailyChallenge" ADD CONSTRAINT "DailyChallenge_wordListId_fkey" FOREIGN KEY ("wordListId") REFERENCES "WordList"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeEntry" ADD CONSTRAINT "ChallengeEntry_challengeId_fkey" FOREIGN KEY ("challengeId") REFERENCES "DailyChallenge"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeEntry" ADD CONSTRAINT "ChallengeEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeEntry" ADD CONSTRAINT "ChallengeEntry_resultId_fkey" FOREIGN KEY ("resultId") REFERENCES "TestResult"("id") ON DELETE CASCADE ON UPDATE CASCADE;
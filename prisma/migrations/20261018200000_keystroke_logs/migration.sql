@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "KeystrokeLog" (
+    "resultId" TEXT NOT NULL,
+    "data" BYTEA NOT NULL,
+    "entries" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "KeystrokeLog_pkey" PRIMARY KEY ("resultId")
+);
+
+-- CreateIndex
+CREATE INDEX "KeystrokeLog_createdAt_idx" ON "KeystrokeLog"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "KeystrokeLog" ADD CONSTRAINT "KeystrokeLog_resultId_fkey" FOREIGN KEY ("resultId") REFERENCES "TestResult"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "Suggestion" ADD COLUMN     "repliedAt" TIMESTAMP(3),
+ADD COLUMN     "spamReasons" TEXT[],
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'new';
+
+-- CreateTable
+CREATE TABLE "SuggestionNote" (
+    "id" TEXT NOT NULL,
+    "suggestionId" TEXT NOT NULL,
+    "authorId" TEXT,
+    "kind" TEXT NOT NULL DEFAULT 'note',
+    "body" TEXT NOT NULL,
+    "emailId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SuggestionNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Suggestion_status_createdAt_idx" ON "Suggestion"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Suggestion_userId_idx" ON "Suggestion"("userId");
+
+-- CreateIndex
+CREATE INDEX "SuggestionNote_suggestionId_createdAt_idx" ON "SuggestionNote"("suggestionId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SuggestionNote" ADD CONSTRAINT "SuggestionNote_suggestionId_fkey" FOREIGN KEY ("suggestionId") REFERENCES "Suggestion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SuggestionNote" ADD CONSTRAINT "SuggestionNote_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
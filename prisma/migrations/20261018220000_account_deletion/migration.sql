@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "deletionResults" TEXT,
+ADD COLUMN     "deletionScheduledFor" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "User_deletionScheduledFor_idx" ON "User"("deletionScheduledFor");
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "Identity" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "providerId" TEXT NOT NULL,
+    "email" TEXT,
+    "emailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Identity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Identity_userId_idx" ON "Identity"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Identity_provider_providerId_key" ON "Identity"("provider", "providerId");
+
+-- AddForeignKey
+ALTER TABLE "Identity" ADD CONSTRAINT "Identity_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: every existing OAuth account becomes one linked identity
+INSERT INTO "Identity" ("id", "userId", "provider", "providerId", "email", "emailVerified", "createdAt")
+SELECT 'idn_' || "id", "id", "provider", "providerId", lower("email"), "emailVerifiedAt" IS NOT NULL, "createdAt"
+FROM "User"
+WHERE "provider" IS NOT NULL AND "providerId" IS NOT NULL;
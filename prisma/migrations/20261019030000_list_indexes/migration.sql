@@ -0,0 +1,14 @@
+-- CreateIndex
+CREATE INDEX "User_createdAt_id_idx" ON "User"("createdAt", "id");
+
+-- CreateIndex
+CREATE INDEX "TestResult_userId_accuracy_idx" ON "TestResult"("userId", "accuracy");
+
+-- CreateIndex
+CREATE INDEX "TestResult_createdAt_id_idx" ON "TestResult"("createdAt", "id");
+
+-- CreateIndex
+CREATE INDEX "TestResult_wpm_id_idx" ON "TestResult"("wpm", "id");
+
+-- CreateIndex
+CREATE INDEX "TestResult_accuracy_id_idx" ON "TestResult"("accuracy", "id");
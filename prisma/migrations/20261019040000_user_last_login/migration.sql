@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "lastLoginAt" TIMESTAMP(3);
+
+-- Backfill from the sessions that are still stored
+UPDATE "User" u SET "lastLoginAt" = s."lastLoginAt"
+FROM (SELECT "userId", MAX("createdAt") AS "lastLoginAt" FROM "Session" GROUP BY "userId") s
+WHERE s."userId" = u."id";
@@ -0,0 +1,35 @@
+import 'dotenv/config';
+import { prisma } from '../src/prismaClient.js';
+import { evaluateAchievements } from '../src/utils/achievements.js';
+
+// Evaluate achievements for every user that has results (safe to re-run; unlocks are idempotent).
+// Usage: npm run achievements:backfill [-- --batch=200]
+const batchArg = process.argv.find(a => a.startsWith('--batch='));
+const BATCH = batchArg ? parseInt(batchArg.split('=')[1], 10) || 200 : 200;
+
+async function main() {
+  let cursor;
+  let users = 0;
+  let unlocks = 0;
+  for (;;) {
+    const batch = await prisma.user.findMany({
+      where: { testResults: { some: {} } },
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: BATCH,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+    });
+    if (!batch.length) break;
+    for (const { id } of batch) {
+      const earned = await evaluateAchievements(id);
+      unlocks += earned.length;
+      users++;
+    }
+    cursor = batch[batch.length - 1].id;
+    console.log(`[Achievements] ${users} users evaluated, ${unlocks} unlocks so far`);
+  }
+  console.log(`[Achievements] Backfill complete: ${users} users, ${unlocks} new unlocks`);
+}
+
+main().catch(e => { console.error(e); process.exitCode = 1; })
+  .finally(async () => { await prisma.$disconnect(); });
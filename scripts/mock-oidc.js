@@ -0,0 +1,100 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// Minimal OpenID Connect provider for trying the OAuth flows locally: /authorize signs the
+// configured user in without a login page, /token swaps the code, /userinfo returns the claims.
+// Usage: npm run oidc:mock -- [--port=4455] [--sub=mock-user-1] [--email=mock@example.com] [--unverified] [--name="Mock User"]
+// Then start the API with OIDC_ISSUER=http://localhost:4455 OIDC_CLIENT_ID=mock-client OIDC_CLIENT_SECRET=mock-secret
+const arg = (name, def) => {
+  const found = process.argv.find(a => a.startsWith(`--${name}=`));
+  return found ? found.slice(name.length + 3) : def;
+};
+const PORT = parseInt(arg('port', '4455'), 10);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = arg('client-id', 'mock-client');
+const CLIENT_SECRET = arg('client-secret', 'mock-secret');
+const CLAIMS = {
+  sub: arg('sub', 'mock-user-1'),
+  preferred_username: arg('username', 'mockuser'),
+  name: arg('name', 'Mock User'),
+  email: arg('email', 'mock@example.com'),
+  email_verified: !process.argv.includes('--unverified')
+};
+
+const codes = new Map();
+const tokens = new Map();
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(raw))));
+    req.on('error', reject);
+  });
+}
+
+// Client credentials may come as HTTP Basic or in the form body
+function clientOf(req, form) {
+  const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+  if (basic) {
+    const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: form.client_id, secret: form.client_secret };
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  console.log(`[MockOIDC] ${req.method} ${url.pathname}`);
+
+  if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+    return json(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      scopes_supported: ['openid', 'profile', 'email']
+    });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/authorize') {
+    const redirectUri = url.searchParams.get('redirect_uri');
+    if (url.searchParams.get('client_id') !== CLIENT_ID || !redirectUri) return json(res, 400, { error: 'invalid_request' });
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, redirectUri);
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (url.searchParams.has('state')) target.searchParams.set('state', url.searchParams.get('state'));
+    res.writeHead(302, { Location: target.toString() });
+    return res.end();
+  }
+
+  if (req.method === 'POST' && url.pathname === '/token') {
+    const form = await readForm(req);
+    const client = clientOf(req, form);
+    if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) return json(res, 401, { error: 'invalid_client' });
+    if (form.grant_type !== 'authorization_code' || codes.get(form.code) !== form.redirect_uri) return json(res, 400, { error: 'invalid_grant' });
+    codes.delete(form.code);
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    tokens.set(accessToken, CLAIMS);
+    return json(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 3600 });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/userinfo') {
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const claims = bearer && tokens.get(bearer[1]);
+    if (!claims) return json(res, 401, { error: 'invalid_token' });
+    return json(res, 200, claims);
+  }
+
+  json(res, 404, { error: 'not_found' });
+});
+
+server.listen(PORT, () => console.log(`[MockOIDC] Issuer ${ISSUER} (client ${CLIENT_ID}/${CLIENT_SECRET}) signing in as ${JSON.stringify(CLAIMS)}`));
@@ -0,0 +1,62 @@
+import WebSocket from 'ws';
+
+// Headless race client for trying races without a browser: joins (or creates) a room,
+// types at a fixed speed once the race starts and prints every server message.
+// Usage: npm run race:bot -- --token=<access token> [--code=ABC123] [--start --players=2] [--wpm=80] [--url=ws://localhost:4000/races]
+const arg = (name, def) => {
+  const found = process.argv.find(a => a.startsWith(`--${name}=`));
+  return found ? found.slice(name.length + 3) : def;
+};
+const TOKEN = arg('token', process.env.RACE_BOT_TOKEN);
+const CODE = arg('code');
+const WPM = parseInt(arg('wpm', '80'), 10);
+const URL = arg('url', `ws://localhost:${process.env.PORT || 4000}/races`);
+const AUTO_START = process.argv.includes('--start');
+const MIN_PLAYERS = parseInt(arg('players', '2'), 10);
+
+if (!TOKEN) {
+  console.error('--token=<access token> (or RACE_BOT_TOKEN) is required');
+  process.exit(1);
+}
+
+const ws = new WebSocket(`${URL}?token=${encodeURIComponent(TOKEN)}`);
+const send = message => ws.send(JSON.stringify(message));
+let typing = null;
+let started = false;
+
+function type(room) {
+  const length = room.text ? room.text.content.length : WPM * 5; // seed-only race: one minute of words
+  const charsPerTick = (WPM * 5) / 60 / 10; // 100ms ticks
+  let position = 0;
+  typing = setInterval(() => {
+    position = Math.min(length, position + charsPerTick);
+    send({ type: 'progress', position: Math.floor(position) });
+    if (position < length) return;
+    clearInterval(typing);
+    // The server measures the duration itself
+    send({ type: 'finish', result: { wpm: WPM, rawWpm: WPM, accuracy: 100, characters: length } });
+  }, 100);
+}
+
+ws.on('open', () => send(CODE ? { type: 'join', code: CODE } : { type: 'create' }));
+ws.on('message', data => {
+  const message = JSON.parse(data.toString());
+  console.log(JSON.stringify(message));
+  if (message.type === 'room') {
+    const { room } = message;
+    if (AUTO_START && !started && room.state === 'lobby' && room.players.length >= MIN_PLAYERS) {
+      started = true;
+      send({ type: 'start' });
+    }
+    if (room.state === 'running' && !typing) type(room);
+  }
+  if (message.type === 'results') ws.close();
+});
+ws.on('close', (code, reason) => {
+  clearInterval(typing);
+  console.log(`[RaceBot] Closed (${code}${reason.length ? `: ${reason}` : ''})`);
+});
+ws.on('error', e => {
+  console.error('[RaceBot]', e.message);
+  process.exitCode = 1;
+});
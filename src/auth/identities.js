@@ -0,0 +1,126 @@
+import { prisma } from '../prismaClient.js';
+import { AppError, conflict, notFound } from '../middleware/errors.js';
+import { usernameTaken } from '../utils/profiles.js';
+
+/*
+ * identities.js
+ * ---------------------------------
+ * Login methods of an account: any number of linked OAuth identities ("Identity" rows,
+ * one per provider account) plus an optional password (User.passwordHash).
+ *
+ *  - Sign-in looks the identity up by (provider, providerId)
+ *  - An unknown identity whose provider-verified email belongs to an account with a
+ *    verified email is merged into that account; otherwise a new account is created
+ *  - Signed-in users can link more identities and unlink them, but never the last
+ *    remaining login method
+ */
+
+// Lower-cased email the provider vouches for, if any
+export function verifiedEmail(profile) {
+  const verified = (profile.emails || []).filter(e => e && (e.verified === true || e.verified === 'true'));
+  const entry = verified.find(e => e.primary) || verified[0];
+  return entry?.value ? entry.value.trim().toLowerCase() : null;
+}
+
+function profileEmail(profile) {
+  const value = profile.emails?.[0]?.value;
+  return value ? value.trim().toLowerCase() : null;
+}
+
+async function uniqueUsername(provider, profile) {
+  const base = (profile.username || profile.displayName || profileEmail(profile)?.split('@')[0] || `${provider}_${profile.id}`)
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .slice(0, 24) || `${provider}_${profile.id}`;
+  let username = base;
+  let counter = 1;
+  while (await usernameTaken(username)) {
+    username = `${base}_${counter++}`.slice(0, 30);
+  }
+  return username;
+}
+
+function identityData(provider, profile) {
+  return { provider, providerId: String(profile.id), email: profileEmail(profile), emailVerified: !!verifiedEmail(profile) };
+}
+
+// Sign in with a provider profile: existing identity -> safe merge by verified email -> new account.
+// Returns { user, created, merged }.
+export async function resolveOAuthUser(provider, profile) {
+  const providerId = String(profile.id);
+  const identity = await prisma.identity.findUnique({ where: { provider_providerId: { provider, providerId } }, include: { user: true } });
+  if (identity) {
+    await prisma.identity.update({ where: { id: identity.id }, data: { lastUsedAt: new Date(), ...identityData(provider, profile) } });
+    return { user: identity.user, created: false, merged: false };
+  }
+
+  const email = verifiedEmail(profile);
+  if (email) {
+    // Both sides must have proven the address, or this would be an account takeover
+    const owner = await prisma.user.findFirst({ where: { email: { equals: email, mode: 'insensitive' }, emailVerifiedAt: { not: null } } });
+    if (owner) {
+      await prisma.identity.create({ data: { userId: owner.id, ...identityData(provider, profile), lastUsedAt: new Date() } });
+      return { user: owner, created: false, merged: true };
+    }
+  }
+
+  const wanted = email || profileEmail(profile);
+  const taken = wanted ? await prisma.user.findFirst({ where: { email: { equals: wanted, mode: 'insensitive' } }, select: { id: true } }) : null;
+  const user = await prisma.user.create({
+    data: {
+      username: await uniqueUsername(provider, profile),
+      // An address already used by another (unverified) account is left off rather than colliding
+      email: taken ? null : wanted,
+      emailVerifiedAt: !taken && email ? new Date() : null,
+      provider,
+      identities: { create: { ...identityData(provider, profile), lastUsedAt: new Date() } }
+    }
+  });
+  return { user, created: true, merged: false };
+}
+
+// Attach a provider account to a signed-in user
+export async function linkIdentity(userId, provider, profile) {
+  const providerId = String(profile.id);
+  const existing = await prisma.identity.findUnique({ where: { provider_providerId: { provider, providerId } } });
+  if (existing && existing.userId !== userId) throw conflict('This account is already linked to another user');
+  if (existing) return existing;
+  return prisma.identity.create({ data: { userId, ...identityData(provider, profile) } });
+}
+
+export async function listLoginMethods(userId) {
+  const [user, identities] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { passwordHash: true } }),
+    prisma.identity.findMany({ where: { userId }, orderBy: { createdAt: 'asc' }, omit: { userId: true } })
+  ]);
+  if (!user) throw notFound();
+  return { password: !!user.passwordHash, identities };
+}
+
+// Locks the user row so two concurrent removals can't both pass the check
+async function assertNotLastMethod(tx, userId) {
+  await tx.$queryRaw`SELECT 1 FROM "User" WHERE "id" = ${userId} FOR UPDATE`;
+  const [user, identities] = await Promise.all([
+    tx.user.findUnique({ where: { id: userId }, select: { passwordHash: true } }),
+    tx.identity.count({ where: { userId } })
+  ]);
+  if (identities + (user?.passwordHash ? 1 : 0) <= 1) {
+    throw new AppError('Cannot remove the last way to sign in to this account', 409, 'LAST_LOGIN_METHOD');
+  }
+}
+
+export async function unlinkIdentity(userId, identityId) {
+  return prisma.$transaction(async tx => {
+    const identity = await tx.identity.findFirst({ where: { id: identityId, userId } });
+    if (!identity) throw notFound();
+    await assertNotLastMethod(tx, userId);
+    await tx.identity.delete({ where: { id: identity.id } });
+    return identity;
+  });
+}
+
+export async function removePassword(userId) {
+  return prisma.$transaction(async tx => {
+    await assertNotLastMethod(tx, userId);
+    await tx.user.update({ where: { id: userId }, data: { passwordHash: null, passwordResetTokenHash: null, passwordResetExpiresAt: null } });
+  });
+}
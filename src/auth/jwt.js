@@ -1,10 +1,19 @@
 import jwt from 'jsonwebtoken';
+import { prisma } from '../prismaClient.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-insecure-secret';
 const JWT_EXPIRES = process.env.JWT_EXPIRES || '15m';
+// Claim tokens use a derived secret so they can never pass as access tokens
+const CLAIM_SECRET = `${JWT_SECRET}:result-claim`;
+const CLAIM_EXPIRES = `${parseInt(process.env.GUEST_CLAIM_TTL_DAYS || '30', 10)}d`;
+// Identity-link tokens carry a signed-in user through an OAuth redirect (no Bearer header there)
+const LINK_SECRET = `${JWT_SECRET}:identity-link`;
+const LINK_EXPIRES = '10m';
 
-export function signUser(user) {
+// sessionId ties the access token to the refresh-token session it was issued from (see sessions.js)
+export function signUser(user, sessionId) {
   const payload = { id: user.id, username: user.username, provider: user.provider };
+  if (sessionId) payload.sid = sessionId;
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES });
 }
 
@@ -12,14 +21,67 @@ export function verifyToken(token) {
   return jwt.verify(token, JWT_SECRET);
 }
 
-export function authMiddleware(req, res, next) {
+// verifyToken plus a session check, so logout-all and password resets cut off outstanding access tokens.
+// Rotation only sets rotatedAt, so tokens from the previous refresh stay valid until they expire.
+export async function verifyAccessToken(token) {
+  const payload = verifyToken(token);
+  if (payload.sid) {
+    const session = await prisma.session.findUnique({ where: { id: payload.sid }, select: { revokedAt: true } });
+    if (!session || session.revokedAt) throw new Error('Session revoked');
+  }
+  return payload;
+}
+
+// Proof that the holder submitted a guest result (returned once, on submission)
+export function signClaimToken(resultId) {
+  return jwt.sign({ rid: resultId }, CLAIM_SECRET, { expiresIn: CLAIM_EXPIRES });
+}
+
+// Returns the result id, or null when the token is invalid/expired
+export function verifyClaimToken(token) {
+  try {
+    const payload = jwt.verify(String(token), CLAIM_SECRET);
+    return typeof payload.rid === 'string' ? payload.rid : null;
+  } catch {
+    return null;
+  }
+}
+
+// `nonce` is echoed through the OAuth state so the callback can check it came from the same browser
+export function signLinkToken(userId, provider, nonce) {
+  return jwt.sign({ uid: userId, prv: provider, n: nonce }, LINK_SECRET, { expiresIn: LINK_EXPIRES });
+}
+
+// Returns { userId, provider, nonce }, or null when the token is invalid/expired
+export function verifyLinkToken(token) {
+  try {
+    const payload = jwt.verify(String(token), LINK_SECRET);
+    return typeof payload.uid === 'string' && typeof payload.n === 'string' ? { userId: payload.uid, provider: payload.prv, nonce: payload.n } : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function authMiddleware(req, res, next) {
   const auth = req.headers.authorization;
   if (!auth) return res.status(401).json({ error: 'Missing token' });
   const token = auth.slice(7);
   try {
-    req.user = verifyToken(token);
-    next();
+    req.user = await verifyAccessToken(token);
   } catch (e) {
     return res.status(401).json({ error: 'Invalid token' });
   }
-}
\ No newline at end of file
+  next();
+}
+
+// Same as authMiddleware but lets anonymous requests through; an invalid or revoked token is treated as anonymous
+export async function optionalAuth(req, res, next) {
+  const auth = req.headers.authorization;
+  if (!auth) return next();
+  try {
+    req.user = await verifyAccessToken(auth.slice(7));
+  } catch (e) {
+    req.user = undefined;
+  }
+  next();
+}
@@ -0,0 +1,99 @@
+import { prisma } from '../prismaClient.js';
+import { forbidden, notFound, unauthorized } from '../middleware/errors.js';
+
+/*
+ * policies.js
+ * ---------------------------------
+ * Central authorization rules. Routes never compare ids themselves; they declare
+ * an action and let `authorize` load the resource and check the policy.
+ *
+ *   router.patch('/:id', authMiddleware, authorize('testResult:update', loadTestResult), handler)
+ *
+ * The actor's role is read from the database (not the JWT) so a demoted admin
+ * loses access immediately.
+ */
+
+export const ROLES = { USER: 'user', ADMIN: 'admin' };
+
+export function isAdmin(actor) {
+  return actor?.role === ROLES.ADMIN;
+}
+
+function isSelf(actor, user) {
+  return !!actor && !!user && actor.id === user.id;
+}
+
+function ownsResult(actor, result) {
+  return !!actor && !!result?.userId && actor.id === result.userId;
+}
+
+// Texts / word lists: `visibility` private | unlisted | public
+function ownsContent(actor, item) {
+  return !!actor && !!item?.ownerId && actor.id === item.ownerId;
+}
+
+// Teams: the loader includes the actor's own TeamMember row (if any) as team.members
+function teamRole(actor, team) {
+  return actor ? team?.members?.find(m => m.userId === actor.id)?.role || null : null;
+}
+
+const POLICIES = {
+  'user:read:private': (actor, user) => isSelf(actor, user) || isAdmin(actor),
+  'user:update': (actor, user) => isSelf(actor, user) || isAdmin(actor),
+  'user:delete': (actor, user) => isSelf(actor, user) || isAdmin(actor),
+  'user:setRole': actor => isAdmin(actor),
+  'testResult:update': (actor, result) => ownsResult(actor, result) || isAdmin(actor),
+  'testResult:delete': (actor, result) => ownsResult(actor, result) || isAdmin(actor),
+  'testResult:moderate': actor => isAdmin(actor),
+  'content:read': (actor, item) => item.visibility !== 'private' || ownsContent(actor, item) || isAdmin(actor),
+  'content:update': (actor, item) => ownsContent(actor, item) || isAdmin(actor),
+  'content:delete': (actor, item) => ownsContent(actor, item) || isAdmin(actor),
+  'team:read': (actor, team) => !!teamRole(actor, team) || isAdmin(actor),
+  'team:manage': (actor, team) => teamRole(actor, team) === 'owner' || isAdmin(actor),
+  'admin:access': actor => isAdmin(actor)
+};
+
+export function can(actor, action, resource) {
+  const policy = POLICIES[action];
+  if (!policy) throw new Error(`Unknown policy action: ${action}`);
+  return !!policy(actor, resource);
+}
+
+// Resolve the current actor ({ id, role }) for an authenticated request, cached on req
+export async function loadActor(req) {
+  if (!req.user?.id) return null;
+  if (req.actor !== undefined) return req.actor;
+  req.actor = await prisma.user.findUnique({ where: { id: req.user.id }, select: { id: true, role: true } });
+  return req.actor;
+}
+
+// Middleware: must run after authMiddleware. `loadResource(req)` returns the target (or null -> 404);
+// the loaded resource is exposed as req.resource.
+export function authorize(action, loadResource) {
+  return async (req, res, next) => {
+    try {
+      const actor = await loadActor(req);
+      if (!actor) throw unauthorized('Account no longer exists');
+      let resource;
+      if (loadResource) {
+        resource = await loadResource(req);
+        if (!resource) throw notFound();
+        req.resource = resource;
+      }
+      if (!can(actor, action, resource)) throw forbidden();
+      next();
+    } catch (e) { next(e); }
+  };
+}
+
+export const requireAdmin = authorize('admin:access');
+
+// Common loaders
+export const loadUserParam = req => prisma.user.findUnique({ where: { id: req.params.id } });
+export const loadTestResultParam = req => prisma.testResult.findUnique({ where: { id: req.params.id } });
+export const loadTextParam = req => prisma.text.findUnique({ where: { id: req.params.id } });
+export const loadWordListParam = req => prisma.wordList.findUnique({ where: { id: req.params.id } });
+export const loadTeamParam = req => prisma.team.findUnique({
+  where: { id: req.params.id },
+  include: { members: { where: { userId: req.user.id } } }
+});
@@ -0,0 +1,190 @@
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { Strategy as GitHubStrategy } from 'passport-github2';
+import { Strategy as OAuth2Strategy, InternalOAuthError } from 'passport-oauth2';
+import { passport } from './passport.js';
+
+/*
+ * providers.js (OAuth provider registry)
+ * ---------------------------------
+ * Every sign-in provider is one entry in PROVIDERS. An entry is enabled when its
+ * <ENV>_CLIENT_ID and <ENV>_CLIENT_SECRET are set; routes/auth.js generates
+ * /auth/<name> and /auth/<name>/callback for each enabled entry, and
+ * GET /auth/providers lists them for the login buttons.
+ *
+ * Entry fields:
+ *  name, label, env, scope
+ *  Strategy                a passport strategy class (Google, GitHub), or
+ *  endpoints(), profile()  generic OAuth2: authorize/token/userinfo URLs (may be async,
+ *                          e.g. OIDC discovery) and a mapper from the userinfo JSON to a
+ *                          passport profile { id, username, displayName, emails: [{ value, verified }] }
+ *
+ * Strategies are built on first use, so an unreachable OIDC issuer only breaks that provider.
+ *
+ * Env Variables:
+ *  OAUTH_CALLBACK_URL           backend base for callback URLs (default http://localhost:4000)
+ *  GOOGLE_CLIENT_ID/SECRET
+ *  GITHUB_CLIENT_ID/SECRET
+ *  DISCORD_CLIENT_ID/SECRET
+ *  GITLAB_CLIENT_ID/SECRET
+ *  GITLAB_BASE_URL              self-hosted GitLab (default https://gitlab.com)
+ *  OIDC_CLIENT_ID/SECRET
+ *  OIDC_ISSUER                  required for OIDC; endpoints come from its discovery document
+ *  OIDC_LABEL                   button label (default "Single sign-on")
+ *  OIDC_SCOPE                   space separated (default "openid profile email")
+ */
+
+const CALLBACK_BASE = (process.env.OAUTH_CALLBACK_URL || 'http://localhost:4000').replace(/\/$/, '');
+
+const GITLAB_BASE = (process.env.GITLAB_BASE_URL || 'https://gitlab.com').replace(/\/$/, '');
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+
+export const PROVIDERS = [
+  {
+    name: 'google',
+    label: 'Google',
+    env: 'GOOGLE',
+    scope: ['profile', 'email'],
+    Strategy: GoogleStrategy
+  },
+  {
+    name: 'github',
+    label: 'GitHub',
+    env: 'GITHUB',
+    scope: ['user:email'],
+    Strategy: GitHubStrategy,
+    // All addresses with their verified flags, not just the primary one
+    options: { allRawEmails: true }
+  },
+  {
+    name: 'discord',
+    label: 'Discord',
+    env: 'DISCORD',
+    scope: ['identify', 'email'],
+    endpoints: () => ({
+      authorizationURL: 'https://discord.com/oauth2/authorize',
+      tokenURL: 'https://discord.com/api/oauth2/token',
+      userInfoURL: 'https://discord.com/api/users/@me'
+    }),
+    profile: json => ({
+      id: json.id,
+      username: json.username,
+      displayName: json.global_name || json.username,
+      emails: json.email ? [{ value: json.email, verified: json.verified === true }] : []
+    })
+  },
+  {
+    name: 'gitlab',
+    label: 'GitLab',
+    env: 'GITLAB',
+    scope: ['read_user'],
+    endpoints: () => ({
+      authorizationURL: `${GITLAB_BASE}/oauth/authorize`,
+      tokenURL: `${GITLAB_BASE}/oauth/token`,
+      userInfoURL: `${GITLAB_BASE}/api/v4/user`
+    }),
+    profile: json => ({
+      id: json.id,
+      username: json.username,
+      displayName: json.name,
+      emails: json.email ? [{ value: json.email, verified: !!json.confirmed_at }] : []
+    })
+  },
+  {
+    name: 'oidc',
+    label: process.env.OIDC_LABEL || 'Single sign-on',
+    env: 'OIDC',
+    scope: (process.env.OIDC_SCOPE || 'openid profile email').split(/\s+/).filter(Boolean),
+    enabled: () => !!OIDC_ISSUER,
+    endpoints: async () => {
+      const config = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+      return {
+        authorizationURL: config.authorization_endpoint,
+        tokenURL: config.token_endpoint,
+        userInfoURL: config.userinfo_endpoint
+      };
+    },
+    profile: json => ({
+      id: json.sub,
+      username: json.preferred_username,
+      displayName: json.name,
+      emails: json.email ? [{ value: json.email, verified: json.email_verified === true }] : []
+    })
+  }
+];
+
+function credentials(provider) {
+  return {
+    clientID: process.env[`${provider.env}_CLIENT_ID`] || '',
+    clientSecret: process.env[`${provider.env}_CLIENT_SECRET`] || ''
+  };
+}
+
+function isEnabled(provider) {
+  const { clientID, clientSecret } = credentials(provider);
+  return !!(clientID && clientSecret) && (!provider.enabled || provider.enabled());
+}
+
+export function enabledProviders() {
+  return PROVIDERS.filter(isEnabled);
+}
+
+export function getProvider(name) {
+  return enabledProviders().find(p => p.name === name) || null;
+}
+
+// What the frontend needs to render the sign-in buttons
+export function describeProviders() {
+  return enabledProviders().map(p => ({ name: p.name, label: p.label, url: `/auth/${p.name}` }));
+}
+
+async function fetchJson(url, accessToken) {
+  const headers = { Accept: 'application/json' };
+  if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(10000) });
+  if (!res.ok) throw new Error(`GET ${url} failed with ${res.status}`);
+  return res.json();
+}
+
+// Strategies only hand the provider profile on; the callback route decides whether this
+// is a sign-in or a link to the signed-in account (see identities.js)
+const toIdentity = name => (_accessToken, _refreshToken, profile, done) => done(null, { provider: name, profile });
+
+async function buildStrategy(provider) {
+  const callbackURL = `${CALLBACK_BASE}/auth/${provider.name}/callback`;
+  if (provider.Strategy) {
+    return new provider.Strategy({ ...credentials(provider), callbackURL, ...provider.options }, toIdentity(provider.name));
+  }
+  const { userInfoURL, ...endpoints } = await provider.endpoints();
+  const strategy = new OAuth2Strategy({ ...credentials(provider), ...endpoints, callbackURL }, toIdentity(provider.name));
+  strategy.name = provider.name;
+  strategy.userProfile = (accessToken, done) => {
+    fetchJson(userInfoURL, accessToken).then(
+      json => done(null, { provider: provider.name, ...provider.profile(json), _json: json }),
+      e => done(new InternalOAuthError('Failed to fetch user profile', e))
+    );
+  };
+  return strategy;
+}
+
+const ready = new Map();
+
+// Registers the provider's passport strategy once; a failed setup is retried on the next request
+export function ensureStrategy(provider) {
+  if (!ready.has(provider.name)) {
+    const pending = buildStrategy(provider).then(strategy => {
+      passport.use(provider.name, strategy);
+      console.log(`[Auth] ${provider.label} strategy registered`);
+    });
+    pending.catch(e => {
+      ready.delete(provider.name);
+      console.error(`[Auth] ${provider.label} strategy setup failed:`, e.message);
+    });
+    ready.set(provider.name, pending);
+  }
+  return ready.get(provider.name);
+}
+
+for (const p of PROVIDERS) {
+  if (isEnabled(p)) console.log(`[Auth] ${p.label} sign-in enabled`);
+  else console.warn(`[Auth] ${p.label} sign-in NOT enabled (missing ${p.env}_CLIENT_ID/SECRET${p.enabled ? ' or provider settings' : ''})`);
+}
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import { prisma } from '../prismaClient.js';
+import { signUser } from './jwt.js';
+import { unauthorized } from '../middleware/errors.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+/*
+ * sessions.js (rotating refresh tokens)
+ * ---------------------------------
+ *  - Each login starts a token "family"; every refresh rotates to a new token in that family
+ *  - Only the SHA-256 hash of a refresh token is stored (Session.tokenHash)
+ *  - Presenting an already-rotated or revoked token is treated as theft: the whole family is revoked
+ *  - The raw token travels in an httpOnly cookie scoped to /auth
+ *
+ * Env Variables:
+ *  REFRESH_TOKEN_TTL_DAYS        lifetime of a refresh token (default 30)
+ *  REFRESH_COOKIE_NAME           cookie name (default 'zb_refresh')
+ *  REFRESH_COOKIE_SAMESITE       'lax' | 'strict' | 'none' (default 'none' in production, else 'lax')
+ */
+
+const COOKIE_NAME = process.env.REFRESH_COOKIE_NAME || 'zb_refresh';
+const TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10)) * 24 * 60 * 60 * 1000;
+
+// Options for httpOnly cookies scoped to /auth (also used by the identity-link flow)
+export function authCookieOptions(maxAge = TTL_MS) {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || (production ? 'none' : 'lax'),
+    path: '/auth',
+    maxAge
+  };
+}
+
+function cookieOptions() {
+  return authCookieOptions(TTL_MS);
+}
+
+// Minimal cookie reader so we don't need cookie-parser for a couple of cookies
+export function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    if (part.slice(0, idx).trim() === name) {
+      try { return decodeURIComponent(part.slice(idx + 1).trim()); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+export function readRefreshCookie(req) {
+  return readCookie(req, COOKIE_NAME);
+}
+
+export function setRefreshCookie(res, token) {
+  res.cookie(COOKIE_NAME, token, cookieOptions());
+}
+
+export function clearRefreshCookie(res) {
+  res.clearCookie(COOKIE_NAME, cookieOptions());
+}
+
+async function createSession(userId, req, familyId = crypto.randomUUID()) {
+  const refreshToken = generateToken(48);
+  const session = await prisma.session.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      userId,
+      userAgent: req?.headers?.['user-agent']?.slice(0, 255) || null,
+      ip: req?.ip || null,
+      expiresAt: new Date(Date.now() + TTL_MS)
+    }
+  });
+  return { session, refreshToken };
+}
+
+// Start a new login: creates a fresh token family, sets the refresh cookie, returns the access token
+export async function startSession(req, res, user) {
+  const { session, refreshToken } = await createSession(user.id, req);
+  await prisma.user.update({ where: { id: user.id }, data: { lastLoginAt: session.createdAt } });
+  setRefreshCookie(res, refreshToken);
+  return signUser(user, session.id);
+}
+
+// Exchange a refresh token for a new one (same family). Throws 401 when unusable.
+export async function rotateSession(req, res, rawToken) {
+  if (!rawToken) throw unauthorized('Missing refresh token');
+  const current = await prisma.session.findUnique({ where: { tokenHash: hashToken(rawToken) }, include: { user: true } });
+  if (!current) throw unauthorized('Invalid refresh token');
+
+  if (current.revokedAt || current.rotatedAt) {
+    await revokeFamily(current.familyId);
+    console.warn('[Auth] Refresh token reuse detected, family revoked', { userId: current.userId, familyId: current.familyId });
+    throw unauthorized('Refresh token reuse detected');
+  }
+  if (current.expiresAt.getTime() <= Date.now()) throw unauthorized('Refresh token expired');
+
+  // Single-use guard: only one concurrent request can win the rotation
+  const { count } = await prisma.session.updateMany({
+    where: { id: current.id, rotatedAt: null, revokedAt: null },
+    data: { rotatedAt: new Date() }
+  });
+  if (count !== 1) {
+    await revokeFamily(current.familyId);
+    throw unauthorized('Refresh token reuse detected');
+  }
+
+  const { session, refreshToken } = await createSession(current.userId, req, current.familyId);
+  setRefreshCookie(res, refreshToken);
+  return { user: current.user, token: signUser(current.user, session.id) };
+}
+
+export async function revokeFamily(familyId) {
+  await prisma.session.updateMany({ where: { familyId, revokedAt: null }, data: { revokedAt: new Date() } });
+}
+
+// Revoke the family of the given raw token (logout on this device). Unknown tokens are ignored.
+export async function revokeByToken(rawToken) {
+  if (!rawToken) return;
+  const session = await prisma.session.findUnique({ where: { tokenHash: hashToken(rawToken) } });
+  if (session) await revokeFamily(session.familyId);
+}
+
+// When the login behind an access token happened (start of its session family), or null.
+// Rotation keeps the family, so this is the last real sign-in, not the last refresh.
+export async function sessionLoginTime(sessionId) {
+  if (!sessionId) return null;
+  const session = await prisma.session.findUnique({ where: { id: sessionId }, select: { familyId: true } });
+  if (!session) return null;
+  const first = await prisma.session.findFirst({ where: { familyId: session.familyId }, orderBy: { createdAt: 'asc' }, select: { createdAt: true } });
+  return first?.createdAt || null;
+}
+
+// Log out everywhere
+export async function revokeAllForUser(userId) {
+  const { count } = await prisma.session.updateMany({ where: { userId, revokedAt: null }, data: { revokedAt: new Date() } });
+  return count;
+}
+
+// Housekeeping: drop sessions that can no longer be used for anything
+export async function pruneExpiredSessions() {
+  const { count } = await prisma.session.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+  return count;
+}
@@ -6,13 +6,28 @@ import session from 'express-session';
 import pg from 'pg';
 import connectPg from 'connect-pg-simple';
 import { passport } from './auth/passport.js';
+import { pruneExpiredSessions } from './auth/sessions.js';
+import { purgeUnverifiedAccounts, processAccountDeletions } from './utils/accounts.js';
+import { pruneKeystrokeLogs } from './utils/keystrokes.js';
+import { startEmailWorker, stopEmailWorker } from './utils/emailQueue.js';
+import { registerEventHandlers } from './utils/eventHandlers.js';
+import { attachRaceServer } from './utils/raceSocket.js';
 import authRouter from './routes/auth.js';
 import usersRouter from './routes/users.js';
 import testResultsRouter from './routes/testResults.js';
 import suggestionsRouter from './routes/suggestions.js';
+import leaderboardsRouter from './routes/leaderboards.js';
+import adminRouter from './routes/admin.js';
+import textsRouter from './routes/texts.js';
+import wordListsRouter from './routes/wordLists.js';
+import challengesRouter from './routes/challenges.js';
+import profilesRouter from './routes/profiles.js';
+import socialRouter from './routes/social.js';
+import teamsRouter from './routes/teams.js';
 import { notFound, errorHandler } from './middleware/errors.js';
 import cors from 'cors';
 const app = express();
+registerEventHandlers();
 
 // Behind Railway / reverse proxies we need to trust the first proxy so that
 // express-rate-limit and other middleware can read X-Forwarded-* headers safely.
@@ -76,6 +91,14 @@ app.use('/users', usersRouter);
 app.use('/test-results', testResultsRouter);
 app.use('/auth', authRouter);
 app.use('/suggestions', suggestionsRouter);
+app.use('/leaderboards', leaderboardsRouter);
+app.use('/admin', adminRouter);
+app.use('/texts', textsRouter);
+app.use('/word-lists', wordListsRouter);
+app.use('/challenges', challengesRouter);
+app.use('/profiles', profilesRouter);
+app.use('/social', socialRouter);
+app.use('/teams', teamsRouter);
 
 // Generic 404 -> forward to error middleware
 app.use((req, res, next) => { next(notFound()); });
@@ -88,6 +111,52 @@ const server = app.listen(PORT, () => {
 	console.log(`API listening on :${PORT}`);
 });
 
+// Multiplayer races (WebSocket upgrade on /races)
+const races = attachRaceServer(server);
+
+// Outbound email worker (drains the EmailOutbox table)
+startEmailWorker();
+
+// Drop expired refresh-token sessions
+const SESSION_PRUNE_INTERVAL_MS = parseInt(process.env.SESSION_PRUNE_INTERVAL_MS || '3600000', 10);
+setInterval(async () => {
+	try {
+		const pruned = await pruneExpiredSessions();
+		if (pruned) console.log(`[Auth] Pruned ${pruned} expired sessions`);
+	} catch (e) {
+		console.warn('[Auth] Session prune failed:', e.message || e);
+	}
+}, SESSION_PRUNE_INTERVAL_MS).unref();
+
+// Delete registrations that were never verified (UNVERIFIED_ACCOUNT_TTL_DAYS)
+// and accounts whose deletion grace period is over (ACCOUNT_DELETION_GRACE_DAYS)
+const ACCOUNT_CLEANUP_INTERVAL_MS = parseInt(process.env.ACCOUNT_CLEANUP_INTERVAL_MS || '3600000', 10);
+setInterval(async () => {
+	try {
+		const purged = await purgeUnverifiedAccounts();
+		if (purged) console.log(`[Accounts] Deleted ${purged} unverified accounts`);
+	} catch (e) {
+		console.warn('[Accounts] Unverified cleanup failed:', e.message || e);
+	}
+	try {
+		const deleted = await processAccountDeletions();
+		if (deleted) console.log(`[Accounts] Deleted ${deleted} accounts after their grace period`);
+	} catch (e) {
+		console.warn('[Accounts] Scheduled deletion failed:', e.message || e);
+	}
+}, ACCOUNT_CLEANUP_INTERVAL_MS).unref();
+
+// Drop keystroke logs past KEYSTROKE_LOG_RETENTION_DAYS (the results themselves are kept)
+const KEYSTROKE_PRUNE_INTERVAL_MS = parseInt(process.env.KEYSTROKE_PRUNE_INTERVAL_MS || '3600000', 10);
+setInterval(async () => {
+	try {
+		const pruned = await pruneKeystrokeLogs();
+		if (pruned) console.log(`[Keystrokes] Pruned ${pruned} expired keystroke logs`);
+	} catch (e) {
+		console.warn('[Keystrokes] Log prune failed:', e.message || e);
+	}
+}, KEYSTROKE_PRUNE_INTERVAL_MS).unref();
+
 // Periodic DB ping to surface closed/idle connections early (option B)
 // const PRISMA_PING_INTERVAL_MS = parseInt(process.env.PRISMA_PING_INTERVAL_MS || '180000', 10);
 // setInterval(async () => {
@@ -103,6 +172,8 @@ const shutdownSignals = ['SIGTERM', 'SIGINT'];
 shutdownSignals.forEach(sig => {
 	process.on(sig, () => {
 		console.warn(`[Shutdown] Received ${sig}, starting graceful shutdown`);
+		stopEmailWorker();
+		races.close();
 		// Close HTTP server
 		server.close(err => {
 			if (err) {
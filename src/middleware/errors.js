@@ -6,6 +6,14 @@ export class AppError extends Error {
   }
 }
 
+// Request validation failure with per-field messages: [{ field, message }]
+export class ValidationError extends AppError {
+  constructor(fields, message = 'Validation failed') {
+    super(message, 400, 'VALIDATION_ERROR');
+    this.fields = fields;
+  }
+}
+
 export function notFound(message = 'Not found') {
   return new AppError(message, 404, 'NOT_FOUND');
 }
@@ -29,12 +37,20 @@ export function conflict(message = 'Conflict') {
 export function errorHandler(err, req, res, next) { // eslint-disable-line no-unused-vars
   // Known AppError
   if (err instanceof AppError) {
-    return res.status(err.status).json({ error: err.message, code: err.code });
+    return res.status(err.status).json({ error: err.message, code: err.code, fields: err.fields });
   }
   // Prisma unique constraint
   if (err && err.code === 'P2002') {
     return res.status(409).json({ error: 'Conflict: unique constraint failed', code: 'UNIQUE_CONSTRAINT' });
   }
+  // Prisma: the record to update/delete is gone (e.g. deleted by a concurrent request)
+  if (err && err.code === 'P2025') {
+    return res.status(404).json({ error: 'Not found', code: 'NOT_FOUND' });
+  }
+  // Prisma foreign key: the referenced row doesn't exist, or other rows still point at this one
+  if (err && err.code === 'P2003') {
+    return res.status(409).json({ error: 'Conflict: related record missing or still referenced', code: 'FOREIGN_KEY_CONSTRAINT' });
+  }
   console.error('[UnhandledError]', err);
   res.status(500).json({ error: 'Internal server error', code: 'INTERNAL' });
 }
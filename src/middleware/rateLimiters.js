@@ -1,10 +1,11 @@
 import rateLimit from 'express-rate-limit';
 
 // General helper to create a limiter
-function createLimiter({ windowMs, max, message }) {
+function createLimiter({ windowMs, max, message, keyGenerator }) {
   return rateLimit({
     windowMs,
     max,
+    ...(keyGenerator ? { keyGenerator } : {}),
     standardHeaders: true,
     legacyHeaders: false,
     message: { error: message || 'Too many requests, please try again later.' }
@@ -34,3 +35,51 @@ export const resendVerificationLimiter = createLimiter({
   max: 3,
   message: 'Too many resend attempts, wait before trying again.'
 });
+
+// Per-account cap on resends (keyed by the submitted email/username, not the IP)
+export const resendVerificationAccountLimiter = createLimiter({
+  windowMs: 24 * 60 * 60 * 1000, // 24 h
+  max: 5,
+  message: 'Too many verification emails requested for this account today.',
+  keyGenerator: req => `account:${String(req.body?.email || req.body?.username || '').trim().toLowerCase()}`
+});
+
+export const forgotPasswordLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000, // 15 min
+  max: 5,
+  message: 'Too many password reset requests, please try again later.'
+});
+
+export const resetPasswordLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000, // 15 min
+  max: 10,
+  message: 'Too many password reset attempts, please try again later.'
+});
+
+export const suggestionLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 h
+  max: 5,
+  message: 'Too many suggestions from this IP, please try again later.'
+});
+
+export const dataExportLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 h
+  max: 5,
+  message: 'Too many export requests, please try again later.'
+});
+
+// Follow/block changes, per account
+export const socialLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 h
+  max: 200,
+  message: 'Too many follow changes, please try again later.',
+  keyGenerator: req => `user:${req.user?.id}`
+});
+
+// Join code attempts, per account (codes are guessable only by brute force)
+export const teamJoinLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000, // 15 min
+  max: 20,
+  message: 'Too many join attempts, please try again later.',
+  keyGenerator: req => `user:${req.user?.id}`
+});
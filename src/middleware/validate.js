@@ -0,0 +1,118 @@
+import { ValidationError } from './errors.js';
+
+/*
+ * validate.js (request body schemas)
+ * ---------------------------------
+ * Declarative per-route body validation:
+ *
+ *   const createSchema = { name: field.string({ required: true, max: 80 }), count: field.number({ integer: true, min: 0 }) };
+ *   router.post('/', validateBody(createSchema), handler);
+ *
+ *  - Values are coerced to the declared type (numeric strings -> numbers, 'true'/'false' -> booleans,
+ *    ISO strings -> Dates) and req.body is replaced by the cleaned object
+ *  - Fields not in the schema are rejected; optional fields that are absent stay absent
+ *  - `nullable` fields accept null and '' (also after trimming) as null; a non-nullable string may be ''
+ *    unless `min` says otherwise
+ *  - Per-field hooks, in order: `normalize(value)` (e.g. case folding), then `pattern` / `values`,
+ *    then `check(value)` returning an error message or nothing
+ *  - Every failing field is reported at once: 400 VALIDATION_ERROR with fields: [{ field, message }]
+ */
+
+export const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPES = {
+  string(value, opts) {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string' };
+    let s = String(value);
+    if (opts.trim !== false) s = s.trim();
+    if (opts.min !== undefined && s.length < opts.min) return { error: `must be at least ${opts.min} character${opts.min === 1 ? '' : 's'}` };
+    if (opts.max !== undefined && s.length > opts.max) return { error: `must be at most ${opts.max} characters` };
+    return { value: s };
+  },
+  number(value, opts) {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) return { error: 'must be a number' };
+    if (opts.integer && !Number.isInteger(n)) return { error: 'must be an integer' };
+    if (opts.min !== undefined && n < opts.min) return { error: `must be at least ${opts.min}` };
+    if (opts.max !== undefined && n > opts.max) return { error: `must be at most ${opts.max}` };
+    return { value: n };
+  },
+  boolean(value) {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'must be true or false' };
+  },
+  date(value) {
+    const d = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!d || Number.isNaN(d.getTime())) return { error: 'must be a date' };
+    return { value: d };
+  },
+  // Items are passed through; check them where they are used. With `split`, a string is split into items.
+  array(value, opts) {
+    if (opts.split && typeof value === 'string') value = value.split(opts.split);
+    if (!Array.isArray(value)) return { error: opts.split ? 'must be an array or a string' : 'must be an array' };
+    if (opts.max !== undefined && value.length > opts.max) return { error: `must have at most ${opts.max} items` };
+    return { value };
+  }
+};
+
+function define(type) {
+  return (opts = {}) => ({ ...opts, type });
+}
+
+export const field = {
+  string: define('string'),
+  number: define('number'),
+  integer: opts => ({ ...opts, type: 'number', integer: true }),
+  boolean: define('boolean'),
+  date: define('date'),
+  array: define('array'),
+  // Value must be one of `values` (compared after string coercion)
+  oneOf: (values, opts = {}) => ({ ...opts, type: 'string', values })
+};
+
+function checkField(rule, value) {
+  if (value === null || (value === '' && (rule.nullable || rule.type !== 'string'))) {
+    return rule.nullable ? { value: null } : { error: value === null ? 'must not be null' : 'must not be empty' };
+  }
+  const result = TYPES[rule.type](value, rule);
+  if (result.error) return result;
+  if (rule.nullable && result.value === '') return { value: null };
+  const v = rule.normalize ? rule.normalize(result.value) : result.value;
+  if (rule.pattern && !rule.pattern.test(v)) return { error: rule.patternMessage || 'has an invalid format' };
+  if (rule.values && !rule.values.includes(v)) return { error: `must be one of ${rule.values.join(', ')}` };
+  const error = rule.check?.(v);
+  return error ? { error } : { value: v };
+}
+
+// Returns the cleaned object or throws ValidationError
+export function checkSchema(schema, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError([{ field: '', message: 'Request body must be a JSON object' }]);
+  }
+  const errors = [];
+  const out = {};
+  for (const key of Object.keys(input)) {
+    if (!Object.hasOwn(schema, key)) errors.push({ field: key, message: 'is not allowed' });
+  }
+  for (const [key, rule] of Object.entries(schema)) {
+    if (input[key] === undefined) {
+      if (rule.required) errors.push({ field: key, message: 'is required' });
+      continue;
+    }
+    const { value, error } = checkField(rule, input[key]);
+    if (error) errors.push({ field: key, message: error });
+    else out[key] = value;
+  }
+  if (errors.length) throw new ValidationError(errors);
+  return out;
+}
+
+export function validateBody(schema) {
+  return (req, res, next) => {
+    try {
+      req.body = checkSchema(schema, req.body ?? {});
+      next();
+    } catch (e) { next(e); }
+  };
+}
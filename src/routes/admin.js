@@ -0,0 +1,136 @@
+import { Router } from 'express';
+import { prisma } from '../prismaClient.js';
+import { authMiddleware } from '../auth/jwt.js';
+import { requireAdmin } from '../auth/policies.js';
+import { badRequest, conflict, notFound } from '../middleware/errors.js';
+import { field, validateBody } from '../middleware/validate.js';
+import { EMAIL_STATUS, enqueueEmail, replayEmail } from '../utils/emailQueue.js';
+import { LIMITS, NOTE_KIND, SUGGESTION_STATUS, suggestionFilters } from '../utils/suggestions.js';
+
+const router = Router();
+
+// Everything under /admin is admin-only
+router.use(authMiddleware, requireAdmin);
+
+// Outbox messages (defaults to dead-lettered), newest first; template data is never returned
+router.get('/emails', async (req, res, next) => {
+  try {
+    const status = req.query.status || EMAIL_STATUS.DEAD;
+    if (status !== 'all' && !Object.values(EMAIL_STATUS).includes(status)) throw badRequest('Invalid status');
+    const take = Math.min(parseInt(req.query.take) || 25, 100);
+    const skip = parseInt(req.query.skip) || 0;
+    const where = status === 'all' ? {} : { status };
+    const [items, total] = await Promise.all([
+      prisma.emailOutbox.findMany({ where, take, skip, orderBy: { createdAt: 'desc' }, omit: { data: true } }),
+      prisma.emailOutbox.count({ where })
+    ]);
+    res.json({ total, take, skip, items });
+  } catch (e) { next(e); }
+});
+
+// Single message with its attempt log
+router.get('/emails/:id', async (req, res, next) => {
+  try {
+    const message = await prisma.emailOutbox.findUnique({
+      where: { id: req.params.id },
+      omit: { data: true },
+      include: { attemptLog: { orderBy: { createdAt: 'asc' } } }
+    });
+    if (!message) throw notFound();
+    res.json(message);
+  } catch (e) { next(e); }
+});
+
+// Re-queue a failed message
+router.post('/emails/:id/replay', async (req, res, next) => {
+  try {
+    const message = await prisma.emailOutbox.findUnique({ where: { id: req.params.id } });
+    if (!message) throw notFound();
+    if (message.status === EMAIL_STATUS.SENT) throw conflict('Message already sent');
+    if (message.status === EMAIL_STATUS.SENDING) throw conflict('Message is being sent');
+    const replayed = await replayEmail(message.id);
+    res.json({ id: replayed.id, status: replayed.status, nextAttemptAt: replayed.nextAttemptAt });
+  } catch (e) { next(e); }
+});
+
+const suggestionInclude = {
+  user: { select: { id: true, username: true } },
+  notes: { orderBy: { createdAt: 'asc' }, include: { author: { select: { id: true, username: true } } } }
+};
+
+const triageSchema = {
+  status: field.oneOf(Object.values(SUGGESTION_STATUS)),
+  note: field.string({ min: 1, max: LIMITS.noteMax })
+};
+
+const replySchema = { message: field.string({ required: true, min: 1, max: LIMITS.replyMax }) };
+
+// Suggestions, newest first: ?status=&q=&userId=&from=&to= (spam is hidden unless ?status=spam)
+router.get('/suggestions', async (req, res, next) => {
+  try {
+    const where = suggestionFilters(req.query);
+    const take = Math.min(parseInt(req.query.take) || 25, 100);
+    const skip = parseInt(req.query.skip) || 0;
+    const [items, total, counts] = await Promise.all([
+      prisma.suggestion.findMany({
+        where, take, skip,
+        orderBy: { createdAt: 'desc' },
+        include: { user: { select: { id: true, username: true } }, _count: { select: { notes: true } } }
+      }),
+      prisma.suggestion.count({ where }),
+      prisma.suggestion.groupBy({ by: ['status'], _count: { _all: true } })
+    ]);
+    const byStatus = Object.fromEntries(Object.values(SUGGESTION_STATUS).map(s => [s, 0]));
+    for (const c of counts) byStatus[c.status] = c._count._all;
+    res.json({ total, take, skip, byStatus, items });
+  } catch (e) { next(e); }
+});
+
+router.get('/suggestions/:id', async (req, res, next) => {
+  try {
+    const suggestion = await prisma.suggestion.findUnique({ where: { id: req.params.id }, include: suggestionInclude });
+    if (!suggestion) throw notFound();
+    res.json(suggestion);
+  } catch (e) { next(e); }
+});
+
+// Triage: { status?, note? } (notes are internal, never shown to the submitter)
+router.patch('/suggestions/:id', validateBody(triageSchema), async (req, res, next) => {
+  try {
+    const { status, note: body } = req.body;
+    if (status === undefined && body === undefined) throw badRequest('status or note required');
+    const existing = await prisma.suggestion.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!existing) throw notFound();
+    const updated = await prisma.$transaction(async tx => {
+      if (body) await tx.suggestionNote.create({ data: { suggestionId: existing.id, authorId: req.user.id, body } });
+      return tx.suggestion.update({ where: { id: existing.id }, data: status ? { status } : {}, include: suggestionInclude });
+    });
+    res.json(updated);
+  } catch (e) { next(e); }
+});
+
+// Email the submitter: { message }. Queued through the outbox and kept in the notes.
+router.post('/suggestions/:id/reply', validateBody(replySchema), async (req, res, next) => {
+  try {
+    const reply = req.body.message;
+    const suggestion = await prisma.suggestion.findUnique({ where: { id: req.params.id }, include: { user: { select: { email: true } } } });
+    if (!suggestion) throw notFound();
+    const to = suggestion.email || suggestion.user?.email;
+    if (!to) throw conflict('Submitter left no email address');
+    const note = await prisma.$transaction(async tx => {
+      const email = await enqueueEmail({
+        template: 'suggestion-reply',
+        to,
+        data: { name: suggestion.name || 'there', reply, message: suggestion.message }
+      }, tx);
+      await tx.suggestion.update({
+        where: { id: suggestion.id },
+        data: { repliedAt: new Date(), ...(suggestion.status === SUGGESTION_STATUS.NEW ? { status: SUGGESTION_STATUS.TRIAGED } : {}) }
+      });
+      return tx.suggestionNote.create({ data: { suggestionId: suggestion.id, authorId: req.user.id, kind: NOTE_KIND.REPLY, body: reply, emailId: email.id } });
+    });
+    res.status(202).json(note);
+  } catch (e) { next(e); }
+});
+
+export default router;
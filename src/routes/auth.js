@@ -1,12 +1,34 @@
 import { Router } from 'express';
 import { passport } from '../auth/passport.js';
-import { signUser, authMiddleware } from '../auth/jwt.js';
+import { authMiddleware, signLinkToken, verifyLinkToken } from '../auth/jwt.js';
+import { enabledProviders, getProvider, describeProviders, ensureStrategy } from '../auth/providers.js';
+import { resolveOAuthUser, linkIdentity, listLoginMethods, unlinkIdentity, removePassword } from '../auth/identities.js';
+import { startSession, rotateSession, readRefreshCookie, clearRefreshCookie, revokeByToken, revokeAllForUser, readCookie, authCookieOptions } from '../auth/sessions.js';
 import { prisma } from '../prismaClient.js';
-import { verifyEmailLimiter } from '../middleware/rateLimiters.js';
+import { verifyEmailLimiter, forgotPasswordLimiter, resetPasswordLimiter } from '../middleware/rateLimiters.js';
+import { badRequest, conflict } from '../middleware/errors.js';
+import { EMAIL_RE, field, validateBody } from '../middleware/validate.js';
+import { hashPassword, PASSWORD_FIELD } from '../utils/password.js';
+import { frontendUrl, passwordResetLink } from '../utils/email.js';
+import { enqueueEmail } from '../utils/emailQueue.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const linkSchema = { redirect: field.string({ max: 500 }) };
+const passwordSchema = { password: PASSWORD_FIELD };
+const forgotPasswordSchema = {
+  email: field.string({ required: true, max: 254, pattern: EMAIL_RE, patternMessage: 'must be a valid email address' })
+};
+const resetPasswordSchema = { token: field.string({ required: true, min: 1, max: 256 }), password: PASSWORD_FIELD };
+
+// Identity linking: the signed link token lives in this httpOnly cookie (set by the Bearer-authenticated
+// POST below) and only its nonce travels in the OAuth state. A link URL sent to someone else does nothing
+// in their browser, and a callback only links when the state nonce matches the cookie.
+const LINK_COOKIE = 'zb_link';
+const LINK_COOKIE_MAX_AGE = 10 * 60 * 1000;
 
 const router = Router();
 
-function sanitizeUser(u) { if (!u) return null; const { passwordHash, emailVerificationToken, emailVerificationSentAt, ...rest } = u; return rest; }
+function sanitizeUser(u) { if (!u) return null; const { passwordHash, emailVerificationToken, emailVerificationSentAt, passwordResetTokenHash, passwordResetExpiresAt, ...rest } = u; return rest; }
 
 function buildRedirect(frontendBase, token, redirectPath) {
   const base = frontendBase.replace(/\/$/, '');
@@ -15,8 +37,10 @@ function buildRedirect(frontendBase, token, redirectPath) {
   return `${base}${path}${qp}#token=${encodeURIComponent(token)}`;
 }
 
-function encodeState(redirectPath, popup) {
+// l carries the link cookie's nonce when the flow links to an existing account instead of signing in
+function encodeState(redirectPath, popup, link) {
   const payload = { r: redirectPath || '/profile', p: !!popup };
+  if (link) payload.l = link;
   return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
 }
 
@@ -39,6 +63,35 @@ router.get('/me', authMiddleware, async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
+// Exchange the refresh cookie for a new access token (rotates the refresh token)
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { user, token } = await rotateSession(req, res, readRefreshCookie(req));
+    res.json({ user: sanitizeUser(user), token });
+  } catch (e) {
+    clearRefreshCookie(res);
+    next(e);
+  }
+});
+
+// Log out this device (revokes the current refresh token family)
+router.post('/logout', async (req, res, next) => {
+  try {
+    await revokeByToken(readRefreshCookie(req));
+    clearRefreshCookie(res);
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+// Log out all devices
+router.post('/logout-all', authMiddleware, async (req, res, next) => {
+  try {
+    const revoked = await revokeAllForUser(req.user.id);
+    clearRefreshCookie(res);
+    res.json({ revoked });
+  } catch (e) { next(e); }
+});
+
 // Email verification endpoint
 router.get('/verify-email', verifyEmailLimiter, async (req, res, next) => {
   try {
@@ -50,7 +103,11 @@ router.get('/verify-email', verifyEmailLimiter, async (req, res, next) => {
     if (user.emailVerificationSentAt && (Date.now() - user.emailVerificationSentAt.getTime()) > maxHours * 3600 * 1000) {
       return res.status(400).json({ error: 'Token expired' });
     }
-    const updated = await prisma.user.update({ where: { id: user.id }, data: { emailVerifiedAt: new Date(), emailVerificationToken: null, emailVerificationSentAt: null } });
+    const updated = await prisma.$transaction(async tx => {
+      const verified = await tx.user.update({ where: { id: user.id }, data: { emailVerifiedAt: new Date(), emailVerificationToken: null, emailVerificationSentAt: null } });
+      await enqueueEmail({ template: 'welcome', to: verified.email, data: { username: verified.username, link: frontendUrl('/') } }, tx);
+      return verified;
+    });
     const frontend = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
     const wantsJson = (req.headers['accept'] || '').includes('application/json') || req.query.mode === 'json';
     if (wantsJson) {
@@ -60,29 +117,153 @@ router.get('/verify-email', verifyEmailLimiter, async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
+// Request a password reset link. Always answers the same way so it can't be used to probe for accounts.
+router.post('/forgot-password', forgotPasswordLimiter, validateBody(forgotPasswordSchema), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { email: req.body.email } });
+    if (user && user.passwordHash) {
+      const token = generateToken();
+      const minutes = Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60);
+      await prisma.$transaction(async tx => {
+        await tx.user.update({
+          where: { id: user.id },
+          data: { passwordResetTokenHash: hashToken(token), passwordResetExpiresAt: new Date(Date.now() + minutes * 60 * 1000) }
+        });
+        await enqueueEmail({ template: 'password-reset', to: user.email, data: { link: passwordResetLink(token), minutes } }, tx);
+      });
+    }
+    res.status(202).json({ success: true, message: 'If an account with that email exists, a reset link has been sent.' });
+  } catch (e) { next(e); }
+});
+
+// Set a new password with a reset token (single use); signs the user out everywhere
+router.post('/reset-password', resetPasswordLimiter, validateBody(resetPasswordSchema), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    const user = await prisma.user.findUnique({ where: { passwordResetTokenHash: hashToken(token) } });
+    if (!user || !user.passwordResetExpiresAt || user.passwordResetExpiresAt.getTime() < Date.now()) {
+      throw badRequest('Invalid or expired token');
+    }
+    // Clearing the hash in the same conditional update makes the token single-use
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, passwordResetTokenHash: user.passwordResetTokenHash },
+      data: {
+        passwordHash: await hashPassword(password),
+        passwordResetTokenHash: null,
+        passwordResetExpiresAt: null,
+        // Receiving the link proves ownership of the address
+        emailVerifiedAt: user.emailVerifiedAt || new Date()
+      }
+    });
+    if (count !== 1) throw badRequest('Invalid or expired token');
+    await revokeAllForUser(user.id);
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// Login methods on the current account: { password, identities }
+router.get('/identities', authMiddleware, async (req, res, next) => {
+  try {
+    res.json(await listLoginMethods(req.user.id));
+  } catch (e) { next(e); }
+});
+
+// Start linking another provider account; the client navigates to the returned url
+router.post('/identities/:provider/link', authMiddleware, validateBody(linkSchema), async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) throw badRequest(`provider must be one of ${enabledProviders().map(p => p.name).join(', ')}`);
+    const redirectPath = req.body.redirect || '/settings';
+    const backend = (process.env.BACKEND_BASE_URL || process.env.OAUTH_CALLBACK_URL || 'http://localhost:4000').replace(/\/$/, '');
+    res.cookie(LINK_COOKIE, signLinkToken(req.user.id, provider.name, generateToken(16)), authCookieOptions(LINK_COOKIE_MAX_AGE));
+    const query = new URLSearchParams({ link: '1', redirect: redirectPath });
+    res.json({ url: `${backend}/auth/${provider.name}?${query}` });
+  } catch (e) { next(e); }
+});
+
+router.delete('/identities/:id', authMiddleware, async (req, res, next) => {
+  try {
+    await unlinkIdentity(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+// Add a password to an OAuth-only account (changing an existing one goes through reset)
+router.post('/password', authMiddleware, validateBody(passwordSchema), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+    const { count } = await prisma.user.updateMany({
+      where: { id: req.user.id, passwordHash: null },
+      data: { passwordHash: await hashPassword(password) }
+    });
+    if (count !== 1) throw conflict('Account already has a password');
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+router.delete('/password', authMiddleware, async (req, res, next) => {
+  try {
+    await removePassword(req.user.id);
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
 // Unified handler builder to reduce duplication
-function providerStart(provider, scope) {
-  return (req, res, next) => {
+function providerStart(provider) {
+  return async (req, res, next) => {
+    try { await ensureStrategy(provider); } catch (e) { return next(e); }
     const redirectPath = req.query.redirect || '/profile';
     const popup = req.query.popup === '1';
-    const state = encodeState(redirectPath, popup);
-    passport.authenticate(provider, { scope, state })(req, res, next);
+    // ?link=1 continues a flow started by POST /auth/identities/:provider/link in this browser
+    let nonce = null;
+    if (req.query.link === '1') {
+      const link = verifyLinkToken(readCookie(req, LINK_COOKIE));
+      if (!link || link.provider !== provider.name) {
+        const frontendBase = (process.env.FRONTEND_BASE_URL || 'http://localhost:5173').replace(/\/$/, '');
+        return res.redirect(`${frontendBase}/settings?error=link_expired`);
+      }
+      nonce = link.nonce;
+    }
+    const state = encodeState(redirectPath, popup, nonce);
+    passport.authenticate(provider.name, { scope: provider.scope, state })(req, res, next);
   };
 }
 
+// Link flow: attach the identity to the account named in this browser's link cookie; no new session
+async function finishLink(req, res, frontendBase, redirectPath, nonce, { provider, profile }) {
+  // Only same-site paths, so the state can't turn this into an open redirect
+  const path = redirectPath.startsWith('/') && !redirectPath.startsWith('//') ? redirectPath : '/settings';
+  const target = frontendBase.replace(/\/$/, '') + path;
+  const sep = target.includes('?') ? '&' : '?';
+  const link = verifyLinkToken(readCookie(req, LINK_COOKIE));
+  res.clearCookie(LINK_COOKIE, authCookieOptions(LINK_COOKIE_MAX_AGE));
+  if (!link || link.nonce !== nonce || link.provider !== provider) return res.redirect(`${target}${sep}error=link_expired`);
+  try {
+    await linkIdentity(link.userId, provider, profile);
+  } catch (e) {
+    if (e.status === 409) return res.redirect(`${target}${sep}error=identity_in_use`);
+    console.error('[Auth] Failed to link identity', e);
+    return res.redirect(`${target}${sep}error=oauth`);
+  }
+  res.redirect(`${target}${sep}linked=${provider}`);
+}
+
 function providerCallback(provider) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const frontendBase = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+    try { await ensureStrategy(provider); } catch { return res.redirect(frontendBase + '/login?error=oauth'); }
     const decoded = decodeState(req.query.state);
     const redirectPath = decoded.r || '/profile';
     const wantPopup = !!decoded.p;
-    passport.authenticate(provider, { session: false }, async (err, user) => {
-      if (err || !user) return res.redirect(frontendBase + '/login?error=oauth');
-      // Mark email verified if available
-      if (user.email && !user.emailVerifiedAt) {
-        try { await prisma.user.update({ where: { id: user.id }, data: { emailVerifiedAt: new Date(), emailVerificationToken: null, emailVerificationSentAt: null } }); } catch {/* ignore */}
+    passport.authenticate(provider.name, { session: false }, async (err, identity) => {
+      if (err || !identity) return res.redirect(frontendBase + '/login?error=oauth');
+      if (decoded.l) return finishLink(req, res, frontendBase, redirectPath, decoded.l, identity);
+      let token;
+      try {
+        const { user } = await resolveOAuthUser(identity.provider, identity.profile);
+        token = await startSession(req, res, user);
       }
-      const token = signUser(user);
+      catch (e) { console.error('[Auth] Failed to start session', e); return res.redirect(frontendBase + '/login?error=oauth'); }
       if (wantPopup) {
         res.send(popupResponseHtml(token, redirectPath, frontendBase));
       } else {
@@ -92,11 +273,15 @@ function providerCallback(provider) {
   };
 }
 
-// Google
-router.get('/google', providerStart('google', ['profile', 'email']));
-router.get('/google/callback', providerCallback('google'));
-// GitHub
-router.get('/github', providerStart('github', ['user:email']));
-router.get('/github/callback', providerCallback('github'));
+// Sign-in providers configured in this deployment (for the login buttons)
+router.get('/providers', (req, res) => {
+  res.json(describeProviders());
+});
+
+// /auth/<provider> and /auth/<provider>/callback for every enabled registry entry
+for (const provider of enabledProviders()) {
+  router.get(`/${provider.name}`, providerStart(provider));
+  router.get(`/${provider.name}/callback`, providerCallback(provider));
+}
 
 export default router;
\ No newline at end of file
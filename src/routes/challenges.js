@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import { prisma } from '../prismaClient.js';
+import { optionalAuth } from '../auth/jwt.js';
+import { notFound } from '../middleware/errors.js';
+import {
+  getOrCreateChallenge,
+  describeChallenge,
+  getChallengeLeaderboard,
+  listChallengeHistory,
+  parseDay
+} from '../utils/challenges.js';
+import { parseScope } from '../utils/social.js';
+
+const router = Router();
+
+function parsePage(query) {
+  const take = Math.min(parseInt(query.take) || 25, 100);
+  const skip = Math.max(parseInt(query.skip) || 0, 0);
+  return { take, skip };
+}
+
+// Today's (UTC) challenge. Signed-in callers also get `attempted` and their ranked `entry`.
+router.get('/today', optionalAuth, async (req, res, next) => {
+  try {
+    const challenge = await getOrCreateChallenge();
+    const body = await describeChallenge(challenge);
+    if (req.user) {
+      const entry = await prisma.challengeEntry.findUnique({
+        where: { challengeId_userId: { challengeId: challenge.id, userId: req.user.id } },
+        include: { result: { select: { id: true, wpm: true, accuracy: true, status: true, createdAt: true } } }
+      });
+      body.attempted = !!entry;
+      body.entry = entry ? entry.result : null;
+    }
+    res.json(body);
+  } catch (e) { next(e); }
+});
+
+router.get('/today/leaderboard', optionalAuth, async (req, res, next) => {
+  try {
+    const challenge = await getOrCreateChallenge();
+    const board = await getChallengeLeaderboard(challenge.id, { ...parsePage(req.query), userId: req.user?.id, scope: parseScope(req.query.scope, req.user?.id) });
+    res.json({ challenge: await describeChallenge(challenge), ...board });
+  } catch (e) { next(e); }
+});
+
+// Past challenges with their winners, newest first
+router.get('/history', async (req, res, next) => {
+  try {
+    res.json(await listChallengeHistory(parsePage(req.query)));
+  } catch (e) { next(e); }
+});
+
+// A past (or today's) challenge by date: /challenges/2026-10-17/leaderboard
+router.get('/:date/leaderboard', optionalAuth, async (req, res, next) => {
+  try {
+    const challenge = await prisma.dailyChallenge.findUnique({ where: { date: parseDay(req.params.date) } });
+    if (!challenge) throw notFound('No challenge on this date');
+    const board = await getChallengeLeaderboard(challenge.id, { ...parsePage(req.query), userId: req.user?.id, scope: parseScope(req.query.scope, req.user?.id) });
+    res.json({ challenge: await describeChallenge(challenge), ...board });
+  } catch (e) { next(e); }
+});
+
+router.get('/:date', async (req, res, next) => {
+  try {
+    const challenge = await prisma.dailyChallenge.findUnique({ where: { date: parseDay(req.params.date) } });
+    if (!challenge) throw notFound('No challenge on this date');
+    res.json(await describeChallenge(challenge));
+  } catch (e) { next(e); }
+});
+
+export default router;
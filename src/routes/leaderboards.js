@@ -0,0 +1,59 @@
+import { Router } from 'express';
+import { optionalAuth } from '../auth/jwt.js';
+import { badRequest } from '../middleware/errors.js';
+import { getLeaderboard, listLeaderboardCategories, LEADERBOARD_WINDOWS } from '../utils/leaderboard.js';
+import { parseScope } from '../utils/social.js';
+
+const router = Router();
+
+function parseWindow(raw) {
+  const window = raw ? String(raw).toLowerCase() : 'all';
+  if (!LEADERBOARD_WINDOWS.includes(window)) throw badRequest(`window must be one of ${LEADERBOARD_WINDOWS.join(', ')}`);
+  return window;
+}
+
+function parseDuration(raw) {
+  if (raw === undefined || raw === '') return undefined;
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n) || n <= 0) throw badRequest('durationSec must be a positive integer');
+  return n;
+}
+
+function parsePage(query) {
+  const take = Math.min(parseInt(query.take) || 25, 100);
+  const skip = Math.max(parseInt(query.skip) || 0, 0);
+  return { take, skip };
+}
+
+// Mode/duration combinations that have a board
+router.get('/categories', async (req, res, next) => {
+  try {
+    res.json(await listLeaderboardCategories());
+  } catch (e) { next(e); }
+});
+
+// Global board (best result in any mode), optionally narrowed by ?mode=&durationSec=
+// ?scope=following limits any board to the caller and the users they follow
+router.get('/', optionalAuth, async (req, res, next) => {
+  try {
+    const window = parseWindow(req.query.window);
+    const scope = parseScope(req.query.scope, req.user?.id);
+    const mode = req.query.mode ? String(req.query.mode) : undefined;
+    const durationSec = parseDuration(req.query.durationSec);
+    const board = await getLeaderboard({ mode, durationSec, window, scope, ...parsePage(req.query), userId: req.user?.id });
+    res.json(board);
+  } catch (e) { next(e); }
+});
+
+// Per-mode board, e.g. /leaderboards/time/60?window=weekly
+router.get('/:mode/:durationSec', optionalAuth, async (req, res, next) => {
+  try {
+    const window = parseWindow(req.query.window);
+    const scope = parseScope(req.query.scope, req.user?.id);
+    const durationSec = parseDuration(req.params.durationSec);
+    const board = await getLeaderboard({ mode: req.params.mode, durationSec, window, scope, ...parsePage(req.query), userId: req.user?.id });
+    res.json(board);
+  } catch (e) { next(e); }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import { prisma } from '../prismaClient.js';
+import { authMiddleware, optionalAuth } from '../auth/jwt.js';
+import { loadActor } from '../auth/policies.js';
+import { badRequest, notFound } from '../middleware/errors.js';
+import { validateBody } from '../middleware/validate.js';
+import { buildPublicProfile, changeUsername, findProfileUser, profileSettings, PROFILE_SCHEMA, USERNAME_SCHEMA } from '../utils/profiles.js';
+
+const router = Router();
+
+async function ownProfile(req, user) {
+  return { ...(await buildPublicProfile(user, await loadActor(req))), settings: profileSettings(user) };
+}
+
+// The caller's profile plus privacy settings (place BEFORE /:username)
+router.get('/me', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) throw notFound();
+    res.json(await ownProfile(req, user));
+  } catch (e) { next(e); }
+});
+
+// Edit profile fields and privacy: { displayName?, bio?, avatarUrl?, country?, keyboardLayout?, hideResults?, leaderboardAnonymous? }
+router.patch('/me', authMiddleware, validateBody(PROFILE_SCHEMA), async (req, res, next) => {
+  try {
+    if (!Object.keys(req.body).length) throw badRequest('No updatable fields');
+    const user = await prisma.user.update({ where: { id: req.user.id }, data: req.body });
+    res.json(await ownProfile(req, user));
+  } catch (e) { next(e); }
+});
+
+// Change username: { username }; the old one keeps redirecting here
+router.put('/me/username', authMiddleware, validateBody(USERNAME_SCHEMA), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) throw notFound();
+    const updated = await changeUsername(user, req.body.username);
+    res.json(await ownProfile(req, updated));
+  } catch (e) { next(e); }
+});
+
+// Public profile; a former username redirects to the current one
+router.get('/:username', optionalAuth, async (req, res, next) => {
+  try {
+    const found = await findProfileUser(req.params.username);
+    if (!found) throw notFound();
+    if (found.redirectTo) return res.redirect(301, `${req.baseUrl}/${encodeURIComponent(found.redirectTo)}`);
+    res.json(await buildPublicProfile(found.user, await loadActor(req)));
+  } catch (e) { next(e); }
+});
+
+export default router;
@@ -0,0 +1,88 @@
+import { Router } from 'express';
+import { prisma } from '../prismaClient.js';
+import { authMiddleware } from '../auth/jwt.js';
+import { socialLimiter } from '../middleware/rateLimiters.js';
+import { notFound } from '../middleware/errors.js';
+import {
+  followUser,
+  unfollowUser,
+  blockUser,
+  unblockUser,
+  listFollowers,
+  listFollowing,
+  listBlocks,
+  getFeed
+} from '../utils/social.js';
+
+const router = Router();
+
+function parsePage(query) {
+  const take = Math.min(parseInt(query.take) || 50, 100);
+  const skip = Math.max(parseInt(query.skip) || 0, 0);
+  return { take, skip };
+}
+
+async function assertUserExists(id) {
+  const user = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+  if (!user) throw notFound();
+}
+
+// Personal bests of the people the caller follows, newest first
+router.get('/feed', authMiddleware, async (req, res, next) => {
+  try {
+    res.json(await getFeed(req.user.id, parsePage(req.query)));
+  } catch (e) { next(e); }
+});
+
+// Follow / unfollow (both idempotent)
+router.put('/following/:userId', authMiddleware, socialLimiter, async (req, res, next) => {
+  try {
+    const created = await followUser(req.user.id, req.params.userId);
+    res.status(created ? 201 : 200).json({ following: true });
+  } catch (e) { next(e); }
+});
+
+router.delete('/following/:userId', authMiddleware, socialLimiter, async (req, res, next) => {
+  try {
+    await unfollowUser(req.user.id, req.params.userId);
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+// Users the caller has blocked
+router.get('/blocks', authMiddleware, async (req, res, next) => {
+  try {
+    res.json(await listBlocks(req.user.id, parsePage(req.query)));
+  } catch (e) { next(e); }
+});
+
+// Block: also removes follows in both directions
+router.put('/blocks/:userId', authMiddleware, socialLimiter, async (req, res, next) => {
+  try {
+    await blockUser(req.user.id, req.params.userId);
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+router.delete('/blocks/:userId', authMiddleware, socialLimiter, async (req, res, next) => {
+  try {
+    await unblockUser(req.user.id, req.params.userId);
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+router.get('/users/:userId/followers', async (req, res, next) => {
+  try {
+    await assertUserExists(req.params.userId);
+    res.json(await listFollowers(req.params.userId, parsePage(req.query)));
+  } catch (e) { next(e); }
+});
+
+router.get('/users/:userId/following', async (req, res, next) => {
+  try {
+    await assertUserExists(req.params.userId);
+    res.json(await listFollowing(req.params.userId, parsePage(req.query)));
+  } catch (e) { next(e); }
+});
+
+export default router;
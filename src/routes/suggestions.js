@@ -1,21 +1,37 @@
 import { Router } from 'express';
 import { prisma } from '../prismaClient.js';
-import { authMiddleware } from '../auth/jwt.js';
+import { optionalAuth } from '../auth/jwt.js';
+import { suggestionLimiter } from '../middleware/rateLimiters.js';
+import { validateBody } from '../middleware/validate.js';
+import { spamReasons, SUGGESTION_SCHEMA, SUGGESTION_STATUS } from '../utils/suggestions.js';
 
 const router = Router();
 
-// Create a suggestion
-router.post('/', authMiddleware, async (req, res, next) => {
+// Create a suggestion. Signed-in users are linked (name/email default to their account);
+// guests may leave a name and an email for replies.
+router.post('/', suggestionLimiter, optionalAuth, validateBody(SUGGESTION_SCHEMA), async (req, res, next) => {
   try {
-    let { message } = req.body;
-    if (!message || typeof message !== 'string' || !message.trim()) {
-      return res.status(400).json({ error: 'message required' });
+    const input = req.body;
+    const userId = req.user?.id || null;
+    if (userId) {
+      const user = await prisma.user.findUnique({ where: { id: userId }, select: { username: true, email: true } });
+      input.name = input.name || user?.username || null;
+      input.email = input.email || user?.email || null;
     }
-    message = message.trim();
-    if (message.length > 2000) return res.status(400).json({ error: 'message too long' });
-    const created = await prisma.suggestion.create({ data: { message, userId: req.user.id } });
+    const reasons = await spamReasons(input, userId);
+    const created = await prisma.suggestion.create({
+      data: {
+        message: input.message,
+        name: input.name ?? null,
+        email: input.email ?? null,
+        userId,
+        spamReasons: reasons,
+        status: reasons.length ? SUGGESTION_STATUS.SPAM : SUGGESTION_STATUS.NEW
+      }
+    });
+    // Same response either way so spam heuristics can't be probed
     res.status(201).json({ id: created.id, createdAt: created.createdAt });
   } catch (e) { next(e); }
 });
 
-export default router;
\ No newline at end of file
+export default router;
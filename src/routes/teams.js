@@ -0,0 +1,198 @@
+import { Router } from 'express';
+import { prisma } from '../prismaClient.js';
+import { authMiddleware } from '../auth/jwt.js';
+import { authorize, can, loadTeamParam } from '../auth/policies.js';
+import { teamJoinLimiter } from '../middleware/rateLimiters.js';
+import { badRequest, forbidden, notFound } from '../middleware/errors.js';
+import { validateBody } from '../middleware/validate.js';
+import { getLeaderboard, LEADERBOARD_WINDOWS } from '../utils/leaderboard.js';
+import {
+  TEAM_SCHEMA,
+  TEAM_UPDATE_SCHEMA,
+  JOIN_SCHEMA,
+  MEMBER_ROLE_SCHEMA,
+  ASSIGNMENT_SCHEMA,
+  createTeam,
+  regenerateJoinCode,
+  joinTeam,
+  setMemberRole,
+  removeMember,
+  listUserTeams,
+  describeTeam,
+  getTeamStats,
+  resolveAssignmentInput,
+  listAssignments,
+  getAssignmentReport,
+  exportTeamResultsCsv
+} from '../utils/teams.js';
+
+const router = Router();
+
+router.use(authMiddleware);
+
+const canRead = authorize('team:read', loadTeamParam);
+const canManage = authorize('team:manage', loadTeamParam);
+
+function parsePage(query) {
+  const take = Math.min(parseInt(query.take) || 25, 100);
+  const skip = Math.max(parseInt(query.skip) || 0, 0);
+  return { take, skip };
+}
+
+function parseDate(raw, field) {
+  if (raw === undefined || raw === '') return undefined;
+  const d = new Date(String(raw));
+  if (Number.isNaN(d.getTime())) throw badRequest(`${field} must be a date`);
+  return d;
+}
+
+function isManager(req) {
+  return can(req.actor, 'team:manage', req.resource);
+}
+
+async function loadAssignment(req) {
+  const assignment = await prisma.assignment.findFirst({ where: { id: req.params.assignmentId, teamId: req.resource.id } });
+  if (!assignment) throw notFound();
+  return assignment;
+}
+
+// Teams the caller belongs to
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await listUserTeams(req.user.id));
+  } catch (e) { next(e); }
+});
+
+// Create a team; the caller becomes its owner
+router.post('/', validateBody(TEAM_SCHEMA), async (req, res, next) => {
+  try {
+    const team = await createTeam(req.user.id, req.body);
+    res.status(201).json(await describeTeam(team, { manager: true }));
+  } catch (e) { next(e); }
+});
+
+router.post('/join', teamJoinLimiter, validateBody(JOIN_SCHEMA), async (req, res, next) => {
+  try {
+    const { team, joined } = await joinTeam(req.user.id, req.body.code);
+    res.status(joined ? 201 : 200).json({ id: team.id, name: team.name, joined });
+  } catch (e) { next(e); }
+});
+
+router.get('/:id', canRead, async (req, res, next) => {
+  try {
+    res.json(await describeTeam(req.resource, { manager: isManager(req) }));
+  } catch (e) { next(e); }
+});
+
+router.patch('/:id', canManage, validateBody(TEAM_UPDATE_SCHEMA), async (req, res, next) => {
+  try {
+    if (!Object.keys(req.body).length) throw badRequest('No updatable fields');
+    const team = await prisma.team.update({ where: { id: req.resource.id }, data: req.body });
+    res.json(await describeTeam(team, { manager: true }));
+  } catch (e) { next(e); }
+});
+
+router.delete('/:id', canManage, async (req, res, next) => {
+  try {
+    await prisma.team.delete({ where: { id: req.resource.id } });
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+// New join code; the old one stops working
+router.post('/:id/join-code', canManage, async (req, res, next) => {
+  try {
+    const team = await regenerateJoinCode(req.resource.id);
+    res.json({ joinCode: team.joinCode });
+  } catch (e) { next(e); }
+});
+
+// { role: 'owner' | 'member' }
+router.patch('/:id/members/:userId', canManage, validateBody(MEMBER_ROLE_SCHEMA), async (req, res, next) => {
+  try {
+    const member = await setMemberRole(req.resource.id, req.params.userId, req.body.role);
+    res.json({ userId: member.userId, role: member.role });
+  } catch (e) { next(e); }
+});
+
+// Owners remove members; anyone can remove themselves (leave)
+router.delete('/:id/members/:userId', canRead, async (req, res, next) => {
+  try {
+    if (req.params.userId !== req.user.id && !isManager(req)) throw forbidden();
+    await removeMember(req.resource.id, req.params.userId);
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+// Members-only board: ?window=&mode=&durationSec=
+router.get('/:id/leaderboard', canRead, async (req, res, next) => {
+  try {
+    const window = req.query.window ? String(req.query.window).toLowerCase() : 'all';
+    if (!LEADERBOARD_WINDOWS.includes(window)) throw badRequest(`window must be one of ${LEADERBOARD_WINDOWS.join(', ')}`);
+    const durationSec = req.query.durationSec ? parseInt(req.query.durationSec, 10) : undefined;
+    if (durationSec !== undefined && !(durationSec > 0)) throw badRequest('durationSec must be a positive integer');
+    const board = await getLeaderboard({
+      mode: req.query.mode ? String(req.query.mode) : undefined,
+      durationSec,
+      window,
+      teamId: req.resource.id,
+      ...parsePage(req.query),
+      userId: req.user.id
+    });
+    res.json(board);
+  } catch (e) { next(e); }
+});
+
+// ?days= (default 30, max 365); owners also get per-member rows
+router.get('/:id/stats', canRead, async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    res.json(await getTeamStats(req.resource.id, { days, detailed: isManager(req) }));
+  } catch (e) { next(e); }
+});
+
+// Members' results as CSV: ?from=&to=&assignmentId=
+router.get('/:id/results.csv', canManage, async (req, res, next) => {
+  try {
+    const csv = await exportTeamResultsCsv(req.resource.id, {
+      from: parseDate(req.query.from, 'from'),
+      to: parseDate(req.query.to, 'to'),
+      assignmentId: req.query.assignmentId ? String(req.query.assignmentId) : undefined
+    });
+    res.attachment(`team-${req.resource.id}-results.csv`).type('text/csv').send(csv);
+  } catch (e) { next(e); }
+});
+
+router.get('/:id/assignments', canRead, async (req, res, next) => {
+  try {
+    res.json(await listAssignments(req.resource.id, { userId: req.user.id, manager: isManager(req) }));
+  } catch (e) { next(e); }
+});
+
+// { title, mode, durationSec, textId?, deadline }
+router.post('/:id/assignments', canManage, validateBody(ASSIGNMENT_SCHEMA), async (req, res, next) => {
+  try {
+    const data = await resolveAssignmentInput(req.body);
+    const assignment = await prisma.assignment.create({ data: { ...data, teamId: req.resource.id } });
+    res.status(201).json(assignment);
+  } catch (e) { next(e); }
+});
+
+// Owners get every member's completion and score; members their own
+router.get('/:id/assignments/:assignmentId', canRead, async (req, res, next) => {
+  try {
+    const assignment = await loadAssignment(req);
+    res.json(await getAssignmentReport(assignment, { userId: req.user.id, manager: isManager(req) }));
+  } catch (e) { next(e); }
+});
+
+// Submitted results are kept and just lose the link
+router.delete('/:id/assignments/:assignmentId', canManage, async (req, res, next) => {
+  try {
+    const assignment = await loadAssignment(req);
+    await prisma.assignment.delete({ where: { id: assignment.id } });
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+export default router;
@@ -1,59 +1,103 @@
 import { Router } from 'express';
 import { prisma } from '../prismaClient.js';
+import { authMiddleware, optionalAuth, signClaimToken } from '../auth/jwt.js';
+import { authorize, can, loadActor, loadTestResultParam } from '../auth/policies.js';
+import { AppError, forbidden, notFound } from '../middleware/errors.js';
+import { RESULT_STATUS } from '../utils/antiCheat.js';
+import { submitResult, screenResult, optionalNumber, roundedOrNull, claimResults, MAX_CLAIMS_PER_REQUEST, RESULT_METRIC_FIELDS } from '../utils/results.js';
+import { rebuildPersonalBests } from '../utils/personalBests.js';
+import { decodeKeystrokeLog } from '../utils/keystrokes.js';
+import { visibleResultsWhere } from '../utils/profiles.js';
+import { filters, paginate, parseListQuery } from '../utils/listQuery.js';
+import { field, validateBody } from '../middleware/validate.js';
 
 const router = Router();
 
-function sanitize(result) {
-  if (!result) return null;
-  if (result.user) {
-    const { passwordHash, ...safeUser } = result.user;
-    result.user = safeUser;
+// Only public user fields are ever joined onto results
+const includeUser = { user: { select: { id: true, username: true } } };
+
+const createSchema = {
+  ...RESULT_METRIC_FIELDS,
+  wpm: field.number({ required: true, min: 0, max: 1000 }),
+  accuracy: field.number({ required: true, min: 0, max: 100 }),
+  textId: field.string({ nullable: true, max: 64 }),
+  wordListId: field.string({ nullable: true, max: 64 }),
+  seed: field.string({ nullable: true, max: 64 }),
+  challengeId: field.string({ nullable: true, max: 64 }),
+  assignmentId: field.string({ nullable: true, max: 64 }),
+  keystrokes: field.array({ nullable: true })
+};
+
+const updateSchema = {
+  ...RESULT_METRIC_FIELDS,
+  status: field.oneOf(Object.values(RESULT_STATUS))
+};
+
+const claimSchema = {
+  claimTokens: field.array({ required: true, max: MAX_CLAIMS_PER_REQUEST, check: tokens => (tokens.length ? undefined : 'must not be empty') })
+};
+
+// Challenge entries and assignment scores are read from the stored result, so it is final once submitted.
+// Deleting is refused too: the entry would cascade away and the next attempt would be ranked instead.
+function assertNotLocked(result, action) {
+  if (result.challengeId || result.assignmentId) {
+    throw new AppError(`Daily challenge and assignment results cannot be ${action}`, 409, 'RESULT_LOCKED');
   }
-  return result;
 }
 
-// Create a test result
-router.post('/', async (req, res, next) => {
+// Create a test result (owner taken from the Bearer token; anonymous results have no user).
+// Responds with the stored row plus `isPersonalBest` / `previousBest` / `hasReplay`; guests also get a `claimToken`.
+// `keystrokes: [{ key, delta, correct }]` is stored for replay when complete and within the size cap.
+// mode 'daily' submits against today's challenge and adds `ranked` (false once the day's entry is taken, or when flagged).
+router.post('/', optionalAuth, validateBody(createSchema), async (req, res, next) => {
   try {
-    let { userId, wpm, accuracy, rawWpm, characters, durationSec, mode } = req.body;
-    if (wpm == null || accuracy == null) return res.status(400).json({ error: 'wpm and accuracy required' });
-    if (req.user?.id) {
-      userId = req.user.id;
-    } else {
-      userId = userId || null;
-    }
-    const created = await prisma.testResult.create({
-      data: { userId, wpm: Number(wpm), accuracy: Number(accuracy), rawWpm, characters, durationSec, mode }
-    });
-    res.status(201).json(created);
+    const { keystrokes } = req.body;
+    const { result, isPersonalBest, previousBest, hasReplay, ranked } = await submitResult({ userId: req.user?.id || null, input: req.body, keystrokes });
+    const body = { ...result, isPersonalBest, previousBest, hasReplay };
+    if (ranked !== undefined) body.ranked = ranked;
+    if (!result.userId) body.claimToken = signClaimToken(result.id);
+    res.status(201).json(body);
   } catch (e) { next(e); }
 });
 
-// List test results (with optional user filter & pagination)
-router.get('/', async (req, res, next) => {
+// Attach guest results to the signed-in account: { claimTokens: [...] }
+router.post('/claim', authMiddleware, validateBody(claimSchema), async (req, res, next) => {
   try {
-    const { userId } = req.query;
-    const take = Math.min(parseInt(req.query.take) || 25, 100);
-    const skip = parseInt(req.query.skip) || 0;
-    const where = {};
-    if (userId) where.userId = userId;
-    const results = await prisma.testResult.findMany({
-      where,
-      orderBy: { createdAt: 'desc' },
-      take,
-      skip,
-      include: { user: true }
-    });
-    res.json(results.map(r => sanitize(r)));
+    res.json(await claimResults(req.user.id, req.body.claimTokens));
+  } catch (e) { next(e); }
+});
+
+const listSpec = {
+  sortFields: ['createdAt', 'wpm', 'accuracy'],
+  defaultSort: 'createdAt',
+  filters: {
+    userId: filters.string('userId'),
+    mode: filters.string('mode'),
+    durationSec: filters.integer('durationSec'),
+    createdAt: filters.dateRange('createdAt'),
+    wpm: filters.numberRange('wpm', 'minWpm', 'maxWpm'),
+    accuracy: filters.numberRange('accuracy', 'minAccuracy', 'maxAccuracy'),
+    // verified = passed the anti-cheat screen
+    verified: filters.boolean('verified', { status: RESULT_STATUS.ACCEPTED }, { status: RESULT_STATUS.FLAGGED })
+  }
+};
+
+// List test results: cursor-paginated, see utils/listQuery.js for the query format.
+// Results of users who hide them are left out.
+router.get('/', optionalAuth, async (req, res, next) => {
+  try {
+    const query = parseListQuery(req.query, listSpec);
+    const visible = visibleResultsWhere(await loadActor(req));
+    res.json(await paginate(prisma.testResult, { ...query, where: { AND: [visible, query.where] }, include: includeUser }));
   } catch (e) { next(e); }
 });
 
 // Aggregate stats for a user's results
-router.get('/aggregate/by-user', async (req, res, next) => {
+router.get('/aggregate/by-user', optionalAuth, async (req, res, next) => {
   try {
     const { userId } = req.query;
     if (!userId) return res.status(400).json({ error: 'userId required' });
-    const where = { userId: String(userId) };
+    const where = { userId: String(userId), status: RESULT_STATUS.ACCEPTED, ...visibleResultsWhere(await loadActor(req)) };
     const agg = await prisma.testResult.aggregate({
       _count: { _all: true },
       _max: { wpm: true },
@@ -70,35 +114,65 @@ router.get('/aggregate/by-user', async (req, res, next) => {
 });
 
 // Get single test result
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
-    const result = await prisma.testResult.findUnique({ where: { id: req.params.id }, include: { user: true } });
+    const result = await prisma.testResult.findFirst({ where: { id: req.params.id, ...visibleResultsWhere(await loadActor(req)) }, include: includeUser });
     if (!result) return res.status(404).json({ error: 'Not found' });
-    res.json(sanitize(result));
+    res.json(result);
   } catch (e) { next(e); }
 });
 
-// Update test result (limited fields)
-router.patch('/:id', async (req, res, next) => {
+// Keystroke log for playback: [{ key, delta, correct, t }] (t = ms since the first keystroke)
+router.get('/:id/replay', optionalAuth, async (req, res, next) => {
   try {
-    const { wpm, accuracy, rawWpm, characters, durationSec, mode } = req.body;
+    const log = await prisma.keystrokeLog.findFirst({ where: { resultId: req.params.id, result: visibleResultsWhere(await loadActor(req)) } });
+    if (!log) throw notFound('No replay stored for this result');
+    res.json({ resultId: log.resultId, entries: log.entries, recordedAt: log.createdAt, keystrokes: decodeKeystrokeLog(log.data) });
+  } catch (e) { next(e); }
+});
+
+// Update test result (limited fields) - owner or admin; only admins may set `status`
+router.patch('/:id', authMiddleware, authorize('testResult:update', loadTestResultParam), validateBody(updateSchema), async (req, res, next) => {
+  try {
+    const { wpm, accuracy, rawWpm, characters, durationSec, mode, status } = req.body;
     const data = {};
-    if (wpm !== undefined) data.wpm = Number(wpm);
+    if (wpm !== undefined) data.wpm = roundedOrNull(wpm);
     if (accuracy !== undefined) data.accuracy = Number(accuracy);
-    if (rawWpm !== undefined) data.rawWpm = rawWpm;
-    if (characters !== undefined) data.characters = characters;
-    if (durationSec !== undefined) data.durationSec = durationSec;
+    if (rawWpm !== undefined) data.rawWpm = roundedOrNull(rawWpm);
+    if (characters !== undefined) data.characters = optionalNumber(characters);
+    if (durationSec !== undefined) data.durationSec = optionalNumber(durationSec);
     if (mode !== undefined) data.mode = mode;
-    if (Object.keys(data).length === 0) return res.status(400).json({ error: 'No updatable fields' });
-    const updated = await prisma.testResult.update({ where: { id: req.params.id }, data, include: { user: true } });
-    res.json(sanitize(updated));
+    if (Object.keys(data).length === 0 && status === undefined) return res.status(400).json({ error: 'No updatable fields' });
+    if (Object.keys(data).length) assertNotLocked(req.resource, 'edited');
+    // Re-screen the merged row so edits can't sneak past the submission checks. Re-screening only
+    // ever tightens: a flagged result stays flagged (with its reasons) until a moderator sets `status`.
+    const screened = screenResult({ ...req.resource, ...data });
+    if (req.resource.status === RESULT_STATUS.FLAGGED) {
+      screened.status = RESULT_STATUS.FLAGGED;
+      screened.flagReasons = [...new Set([...req.resource.flagReasons, ...screened.flagReasons])];
+    }
+    Object.assign(data, screened);
+    if (status !== undefined) {
+      if (!can(await loadActor(req), 'testResult:moderate', req.resource)) throw forbidden('status can only be set by moderators');
+      data.status = status;
+    }
+    const updated = await prisma.$transaction(async tx => {
+      const row = await tx.testResult.update({ where: { id: req.params.id }, data, include: includeUser });
+      await rebuildPersonalBests(row.userId, tx);
+      return row;
+    });
+    res.json(updated);
   } catch (e) { next(e); }
 });
 
-// Delete test result
-router.delete('/:id', async (req, res, next) => {
+// Delete test result - owner or admin
+router.delete('/:id', authMiddleware, authorize('testResult:delete', loadTestResultParam), async (req, res, next) => {
   try {
-    await prisma.testResult.delete({ where: { id: req.params.id } });
+    assertNotLocked(req.resource, 'deleted');
+    await prisma.$transaction(async tx => {
+      await tx.testResult.delete({ where: { id: req.params.id } });
+      await rebuildPersonalBests(req.resource.userId, tx);
+    });
     res.status(204).end();
   } catch (e) { next(e); }
 });
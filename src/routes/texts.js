@@ -0,0 +1,86 @@
+import { Router } from 'express';
+import { prisma } from '../prismaClient.js';
+import { authMiddleware, optionalAuth } from '../auth/jwt.js';
+import { authorize, can, loadActor, loadTextParam } from '../auth/policies.js';
+import { notFound } from '../middleware/errors.js';
+import { validateBody } from '../middleware/validate.js';
+import { TEXT_SCHEMA, TEXT_UPDATE_SCHEMA, browseFilters } from '../utils/corpus.js';
+import { seedToInt, randomSeed } from '../utils/seededRandom.js';
+
+const router = Router();
+
+const ownerSelect = { owner: { select: { id: true, username: true } } };
+
+function page(query) {
+  return { take: Math.min(parseInt(query.take) || 25, 100), skip: parseInt(query.skip) || 0 };
+}
+
+// Browse / search public texts: ?q=&language=&difficulty=
+router.get('/', async (req, res, next) => {
+  try {
+    const where = browseFilters(req.query);
+    if (req.query.q) {
+      const q = String(req.query.q).slice(0, 100);
+      where.OR = [{ title: { contains: q, mode: 'insensitive' } }, { content: { contains: q, mode: 'insensitive' } }];
+    }
+    const { take, skip } = page(req.query);
+    const [items, total] = await Promise.all([
+      prisma.text.findMany({ where, take, skip, orderBy: { createdAt: 'desc' }, include: ownerSelect }),
+      prisma.text.count({ where })
+    ]);
+    res.json({ total, take, skip, items });
+  } catch (e) { next(e); }
+});
+
+// Texts owned by the caller (any visibility)
+router.get('/mine', authMiddleware, async (req, res, next) => {
+  try {
+    const { take, skip } = page(req.query);
+    const items = await prisma.text.findMany({ where: { ownerId: req.user.id }, take, skip, orderBy: { createdAt: 'desc' } });
+    res.json(items);
+  } catch (e) { next(e); }
+});
+
+// Deterministic pick from the public pool: the same seed + filters always return the same text
+router.get('/random', async (req, res, next) => {
+  try {
+    const where = browseFilters(req.query);
+    const seed = req.query.seed ? String(req.query.seed).slice(0, 64) : randomSeed();
+    const total = await prisma.text.count({ where });
+    if (!total) throw notFound('No texts match these filters');
+    const [text] = await prisma.text.findMany({ where, orderBy: { id: 'asc' }, skip: seedToInt(seed) % total, take: 1, include: ownerSelect });
+    res.json({ seed, text });
+  } catch (e) { next(e); }
+});
+
+router.post('/', authMiddleware, validateBody(TEXT_SCHEMA), async (req, res, next) => {
+  try {
+    const created = await prisma.text.create({ data: { ...req.body, ownerId: req.user.id } });
+    res.status(201).json(created);
+  } catch (e) { next(e); }
+});
+
+// Private texts are only visible to their owner (and admins); others get a 404
+router.get('/:id', optionalAuth, async (req, res, next) => {
+  try {
+    const text = await prisma.text.findUnique({ where: { id: req.params.id }, include: ownerSelect });
+    if (!text || !can(await loadActor(req), 'content:read', text)) throw notFound();
+    res.json(text);
+  } catch (e) { next(e); }
+});
+
+router.patch('/:id', authMiddleware, authorize('content:update', loadTextParam), validateBody(TEXT_UPDATE_SCHEMA), async (req, res, next) => {
+  try {
+    const updated = await prisma.text.update({ where: { id: req.params.id }, data: req.body });
+    res.json(updated);
+  } catch (e) { next(e); }
+});
+
+router.delete('/:id', authMiddleware, authorize('content:delete', loadTextParam), async (req, res, next) => {
+  try {
+    await prisma.text.delete({ where: { id: req.params.id } });
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+export default router;
@@ -1,24 +1,100 @@
 import { Router } from 'express';
 import { prisma } from '../prismaClient.js';
-import { hashPassword, comparePassword } from '../utils/password.js';
-import { generateVerificationToken, sendVerificationEmail } from '../utils/email.js';
-import { registerLimiter, verificationStatusLimiter } from '../middleware/rateLimiters.js';
-import { AppError, badRequest, unauthorized, forbidden } from '../middleware/errors.js';
-import { signUser } from '../auth/jwt.js';
+import { hashPassword, comparePassword, PASSWORD_FIELD } from '../utils/password.js';
+import { generateVerificationToken, verificationLink } from '../utils/email.js';
+import { enqueueEmail } from '../utils/emailQueue.js';
+import { getUserStats } from '../utils/stats.js';
+import { listPersonalBests, listPersonalBestHistory } from '../utils/personalBests.js';
+import { listUserAchievements } from '../utils/achievements.js';
+import { getKeystrokeStats } from '../utils/keystrokes.js';
+import { registerLimiter, verificationStatusLimiter, resendVerificationLimiter, resendVerificationAccountLimiter, dataExportLimiter } from '../middleware/rateLimiters.js';
+import { AppError, badRequest, unauthorized, forbidden, conflict } from '../middleware/errors.js';
+import { startSession, sessionLoginTime } from '../auth/sessions.js';
+import { authMiddleware, optionalAuth } from '../auth/jwt.js';
+import { authorize, can, isAdmin, loadActor, loadUserParam, ROLES } from '../auth/policies.js';
+import { DELETION_RESULTS, scheduleAccountDeletion, cancelAccountDeletion, deleteAccount } from '../utils/accounts.js';
+import { buildUserExport, exportSectionCsv, EXPORT_FORMATS, CSV_SECTIONS } from '../utils/dataExport.js';
+import { resultsVisible, usernameTaken, USERNAME_SCHEMA } from '../utils/profiles.js';
+import { filters, paginate, parseListQuery } from '../utils/listQuery.js';
+import { EMAIL_RE, field, validateBody } from '../middleware/validate.js';
 
 const router = Router();
 
 function sanitizeUser(u) {
   if (!u) return null;
-  const { passwordHash, emailVerificationToken, emailVerificationSentAt, ...rest } = u;
+  const { passwordHash, emailVerificationToken, emailVerificationSentAt, passwordResetTokenHash, passwordResetExpiresAt, ...rest } = u;
   return rest;
 }
 
+// What other people (and anonymous callers) may see about a user
+function publicUser(u) {
+  if (!u) return null;
+  return { id: u.id, username: u.username, displayName: u.displayName ?? null, avatarUrl: u.avatarUrl ?? null, createdAt: u.createdAt };
+}
+
+function viewUser(u, actor) {
+  return actor && can(actor, 'user:read:private', u) ? sanitizeUser(u) : publicUser(u);
+}
+
+// Deleting your own account needs a fresh proof of identity: the password, or (OAuth-only
+// accounts) a sign-in within ACCOUNT_REAUTH_MAX_AGE_SEC
+async function assertReauthenticated(req, user) {
+  if (user.passwordHash) {
+    const { password } = req.body;
+    if (!password || !(await comparePassword(password, user.passwordHash))) throw unauthorized('Password confirmation required');
+    return;
+  }
+  const maxAgeMs = Number(process.env.ACCOUNT_REAUTH_MAX_AGE_SEC || 600) * 1000;
+  const loginAt = await sessionLoginTime(req.user.sid);
+  if (!loginAt || Date.now() - loginAt.getTime() > maxAgeMs) {
+    throw new AppError('Please sign in again to confirm', 401, 'REAUTH_REQUIRED');
+  }
+}
+
+// Result-derived views (stats, personal bests) honour the owner's hideResults setting
+async function loadResultsOwner(req) {
+  const user = await prisma.user.findUnique({ where: { id: req.params.id }, select: { id: true, hideResults: true } });
+  if (!user || !resultsVisible(user, await loadActor(req))) throw new AppError('Not found', 404);
+  return user;
+}
+
+const registerSchema = {
+  username: USERNAME_SCHEMA.username,
+  email: field.string({ nullable: true, max: 254, pattern: EMAIL_RE, patternMessage: 'must be a valid email address' }),
+  password: PASSWORD_FIELD
+};
+
+const updateSchema = {
+  email: field.string({ nullable: true, max: 254, pattern: EMAIL_RE, patternMessage: 'must be a valid email address' }),
+  password: { ...PASSWORD_FIELD, required: false }
+};
+
+const resendSchema = {
+  email: field.string({ max: 254 }),
+  username: field.string({ max: 254 })
+};
+
+const roleSchema = { role: field.oneOf(Object.values(ROLES), { required: true }) };
+
+// `password` confirms self-service deletion of password accounts
+const deleteSchema = {
+  password: field.string({ max: 1024, trim: false }),
+  results: field.oneOf(Object.values(DELETION_RESULTS))
+};
+
+const loginSchema = {
+  username: field.string({ max: 254 }),
+  email: field.string({ max: 254 }),
+  // No length floor: older accounts predate the registration rules
+  password: field.string({ required: true, max: 1024, trim: false })
+};
+
 // Create user (email verification flow if email provided)
-router.post('/', registerLimiter, async (req, res, next) => {
+router.post('/', registerLimiter, validateBody(registerSchema), async (req, res, next) => {
   try {
     const { username, email, password } = req.body;
-  if (!username || !password) throw badRequest('username and password required');
+    // Former usernames stay reserved so old profile links keep pointing at their owner
+    if (await usernameTaken(username)) throw conflict('Username is taken');
     const passwordHash = await hashPassword(password);
     let data = { username, email, passwordHash };
     let verificationInitiated = false;
@@ -28,10 +104,15 @@ router.post('/', registerLimiter, async (req, res, next) => {
       data.emailVerificationSentAt = new Date();
       verificationInitiated = true;
     }
-    const user = await prisma.user.create({ data });
+    // Verification email goes through the outbox in the same transaction, so the request never waits on SMTP
+    const user = await prisma.$transaction(async tx => {
+      const created = await tx.user.create({ data });
+      if (verificationInitiated) {
+        await enqueueEmail({ template: 'verification', to: email, data: { link: verificationLink(created.emailVerificationToken) } }, tx);
+      }
+      return created;
+    });
     if (verificationInitiated) {
-      try { await sendVerificationEmail({ to: email, token: user.emailVerificationToken }); }
-      catch (e) { console.warn('[Email] send failure', e); }
       // Do NOT expose user object yet; require verification first.
       return res.status(202).json({ pendingVerification: true });
     }
@@ -40,13 +121,22 @@ router.post('/', registerLimiter, async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
-// List users (basic pagination)
-router.get('/', async (req, res, next) => {
+const listSpec = {
+  sortFields: ['createdAt', 'username'],
+  defaultSort: 'createdAt',
+  filters: {
+    createdAt: filters.dateRange('createdAt'),
+    verified: filters.boolean('verified', { emailVerifiedAt: { not: null } }, { emailVerifiedAt: null })
+  }
+};
+
+// List users: cursor-paginated (utils/listQuery.js); emails only visible to the user themself / admins
+router.get('/', optionalAuth, async (req, res, next) => {
   try {
-    const take = Math.min(parseInt(req.query.take) || 25, 100);
-    const skip = parseInt(req.query.skip) || 0;
-    const users = await prisma.user.findMany({ take, skip, orderBy: { createdAt: 'desc' } });
-    res.json(users.map(sanitizeUser));
+    const query = parseListQuery(req.query, listSpec);
+    const actor = await loadActor(req);
+    const page = await paginate(prisma.user, query);
+    res.json({ ...page, items: page.items.map(u => viewUser(u, actor)) });
   } catch (e) { next(e); }
 });
 
@@ -61,17 +151,125 @@ router.get('/verification-status', verificationStatusLimiter, async (req, res, n
   } catch (e) { next(e); }
 });
 
+// Resend cooldowns keyed by the submitted email/username (in memory, like the rate limiters), so the
+// remaining time reported doesn't depend on whether that account exists or is verified
+const resendCooldowns = new Map(); // key -> ms timestamp the cooldown ends
+
+function resendCooldownRemaining(key, cooldownMs) {
+  const now = Date.now();
+  const until = resendCooldowns.get(key);
+  if (until > now) return Math.ceil((until - now) / 1000);
+  if (resendCooldowns.size >= 10000) {
+    for (const [k, end] of resendCooldowns) if (end <= now) resendCooldowns.delete(k);
+  }
+  resendCooldowns.set(key, now + cooldownMs);
+  return 0;
+}
+
+// Re-send the verification email with a fresh token (per-IP + per-account throttled, plus a cooldown)
+router.post('/resend-verification', resendVerificationLimiter, resendVerificationAccountLimiter, validateBody(resendSchema), async (req, res, next) => {
+  try {
+    const { email, username } = req.body;
+    if (!email && !username) throw badRequest('email or username required');
+    const cooldownSec = Number(process.env.EMAIL_RESEND_COOLDOWN_SEC || 120);
+    // Unknown, already verified and cooling-down accounts all get the same answer as a successful send,
+    // so the endpoint can't be used to probe for accounts
+    const remaining = resendCooldownRemaining(`${email ? 'email' : 'username'}:${(email || username).toLowerCase()}`, cooldownSec * 1000);
+    const accepted = () => res.status(202).json({ success: true, cooldownSec: remaining || cooldownSec });
+    if (remaining) return accepted();
+    const user = email
+      ? await prisma.user.findUnique({ where: { email } })
+      : await prisma.user.findUnique({ where: { username } });
+    if (!user || !user.email || user.emailVerifiedAt) return accepted();
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < cooldownSec * 1000) return accepted();
+
+    const token = generateVerificationToken();
+    await prisma.$transaction(async tx => {
+      await tx.user.update({ where: { id: user.id }, data: { emailVerificationToken: token, emailVerificationSentAt: new Date() } });
+      await enqueueEmail({ template: 'verification', to: user.email, data: { link: verificationLink(token) } }, tx);
+    });
+    accepted();
+  } catch (e) { next(e); }
+});
+
+// Download everything stored about the caller: ?format=json (default) or ?format=csv&section=results
+router.get('/me/export', authMiddleware, dataExportLimiter, async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) throw badRequest(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    const section = req.query.section || 'results';
+    if (format === 'csv' && !CSV_SECTIONS[section]) throw badRequest(`section must be one of ${Object.keys(CSV_SECTIONS).join(', ')}`);
+    const archive = await buildUserExport(req.user.id);
+    if (!archive) throw new AppError('Not found', 404);
+    const base = `zebra-board-${archive.profile.username}-${archive.exportedAt.slice(0, 10)}`;
+    res.set('Cache-Control', 'no-store');
+    if (format === 'csv') {
+      res.attachment(`${base}-${section}.csv`).type('text/csv').send(exportSectionCsv(archive, section));
+    } else {
+      res.attachment(`${base}.json`).type('application/json').send(JSON.stringify(archive, null, 2));
+    }
+  } catch (e) { next(e); }
+});
+
 // Get single user
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
     const user = await prisma.user.findUnique({ where: { id: req.params.id } });
   if (!user) throw new AppError('Not found', 404);
-    res.json(sanitizeUser(user));
+    res.json(viewUser(user, await loadActor(req)));
   } catch (e) { next(e); }
 });
 
-// Update user (email, password)
-router.patch('/:id', async (req, res, next) => {
+// Personal statistics: totals, rolling averages, personal bests, daily series and streaks
+router.get('/:id/stats', optionalAuth, async (req, res, next) => {
+  try {
+    const user = await loadResultsOwner(req);
+    const durationSec = req.query.durationSec ? parseInt(req.query.durationSec, 10) : undefined;
+    if (durationSec !== undefined && !(durationSec > 0)) throw badRequest('durationSec must be a positive integer');
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const mode = req.query.mode ? String(req.query.mode) : undefined;
+    res.json(await getUserStats(user.id, { mode, durationSec, days }));
+  } catch (e) { next(e); }
+});
+
+// Per-key and per-bigram error rates / latency over the last ?tests=50 replays
+router.get('/:id/keystroke-stats', optionalAuth, async (req, res, next) => {
+  try {
+    const user = await loadResultsOwner(req);
+    const tests = Math.min(Math.max(parseInt(req.query.tests) || 50, 1), 200);
+    res.json(await getKeystrokeStats(user.id, { tests }));
+  } catch (e) { next(e); }
+});
+
+// Current personal bests (one per mode/duration)
+router.get('/:id/personal-bests', optionalAuth, async (req, res, next) => {
+  try {
+    const user = await loadResultsOwner(req);
+    res.json(await listPersonalBests(user.id));
+  } catch (e) { next(e); }
+});
+
+// Personal best progression, newest first; optional ?mode=&durationSec=
+router.get('/:id/personal-bests/history', optionalAuth, async (req, res, next) => {
+  try {
+    const user = await loadResultsOwner(req);
+    const take = Math.min(parseInt(req.query.take) || 50, 200);
+    const mode = req.query.mode !== undefined ? String(req.query.mode) : undefined;
+    const durationSec = req.query.durationSec !== undefined ? parseInt(req.query.durationSec, 10) || 0 : undefined;
+    res.json(await listPersonalBestHistory(user.id, { mode, durationSec, take }));
+  } catch (e) { next(e); }
+});
+
+// All badges with unlock state and progress
+router.get('/:id/achievements', optionalAuth, async (req, res, next) => {
+  try {
+    const user = await loadResultsOwner(req);
+    res.json(await listUserAchievements(user.id));
+  } catch (e) { next(e); }
+});
+
+// Update user (email, password) - self or admin
+router.patch('/:id', authMiddleware, authorize('user:update', loadUserParam), validateBody(updateSchema), async (req, res, next) => {
   try {
     const { email, password } = req.body;
     const data = {};
@@ -81,7 +279,6 @@ router.patch('/:id', async (req, res, next) => {
         data.emailVerifiedAt = null;
         data.emailVerificationToken = generateVerificationToken();
         data.emailVerificationSentAt = new Date();
-        try { await sendVerificationEmail({ to: email, token: data.emailVerificationToken }); } catch (e) { console.warn('[Email] send failure', e); }
       } else {
         data.emailVerifiedAt = null;
         data.emailVerificationToken = null;
@@ -90,21 +287,53 @@ router.patch('/:id', async (req, res, next) => {
     }
     if (password) data.passwordHash = await hashPassword(password);
   if (Object.keys(data).length === 0) throw badRequest('No updatable fields');
-    const user = await prisma.user.update({ where: { id: req.params.id }, data });
+    const user = await prisma.$transaction(async tx => {
+      const updated = await tx.user.update({ where: { id: req.params.id }, data });
+      if (data.emailVerificationToken) {
+        await enqueueEmail({ template: 'email-change', to: updated.email, data: { newEmail: updated.email, link: verificationLink(data.emailVerificationToken) } }, tx);
+      }
+      return updated;
+    });
+    res.json(sanitizeUser(user));
+  } catch (e) { next(e); }
+});
+
+// Change a user's role - admin only
+router.patch('/:id/role', authMiddleware, authorize('user:setRole', loadUserParam), validateBody(roleSchema), async (req, res, next) => {
+  try {
+    const user = await prisma.user.update({ where: { id: req.params.id }, data: { role: req.body.role } });
     res.json(sanitizeUser(user));
   } catch (e) { next(e); }
 });
 
-// Delete user
-router.delete('/:id', async (req, res, next) => {
+// Delete user: { password?, results?: 'anonymize' | 'delete' }
+// Self-service deletion is scheduled after a grace period (202); an admin deleting someone else is immediate (204).
+router.delete('/:id', authMiddleware, authorize('user:delete', loadUserParam), validateBody(deleteSchema), async (req, res, next) => {
+  try {
+    const user = req.resource;
+    const results = req.body.results ?? DELETION_RESULTS.ANONYMIZE;
+    const actor = await loadActor(req);
+    if (isAdmin(actor) && actor.id !== user.id) {
+      await deleteAccount(user.id, { results });
+      return res.status(204).end();
+    }
+    await assertReauthenticated(req, user);
+    const updated = await scheduleAccountDeletion(user, { results });
+    res.status(202).json({ deletionScheduledFor: updated.deletionScheduledFor, results: updated.deletionResults });
+  } catch (e) { next(e); }
+});
+
+// Cancel a scheduled deletion during the grace period
+router.post('/:id/cancel-deletion', authMiddleware, authorize('user:delete', loadUserParam), async (req, res, next) => {
   try {
-    await prisma.user.delete({ where: { id: req.params.id } });
-    res.status(204).end();
+    if (!req.resource.deletionScheduledFor) throw conflict('No deletion is scheduled');
+    const user = await cancelAccountDeletion(req.resource.id);
+    res.json(sanitizeUser(user));
   } catch (e) { next(e); }
 });
 
 // Basic login (returns user if password matches) - now enforces email verification
-router.post('/login', async (req, res, next) => {
+router.post('/login', validateBody(loginSchema), async (req, res, next) => {
   try {
     const { username, email, password } = req.body;
     const identifier = username || email;
@@ -123,11 +352,11 @@ router.post('/login', async (req, res, next) => {
     }
 
     // Uniform error to avoid leaking which field failed
-  if (!user) throw unauthorized('Invalid credentials');
+  if (!user || !user.passwordHash) throw unauthorized('Invalid credentials');
     const valid = await comparePassword(password, user.passwordHash);
   if (!valid) throw unauthorized('Invalid credentials');
     if (user.email && !user.emailVerifiedAt) throw forbidden('Email not verified');
-    const token = signUser(user);
+    const token = await startSession(req, res, user);
     res.json({ user: sanitizeUser(user), token });
   } catch (e) { next(e); }
 });
@@ -0,0 +1,87 @@
+import { Router } from 'express';
+import { prisma } from '../prismaClient.js';
+import { authMiddleware, optionalAuth } from '../auth/jwt.js';
+import { authorize, can, loadActor, loadWordListParam } from '../auth/policies.js';
+import { notFound } from '../middleware/errors.js';
+import { validateBody } from '../middleware/validate.js';
+import { WORD_LIST_SCHEMA, WORD_LIST_UPDATE_SCHEMA, browseFilters, LIMITS } from '../utils/corpus.js';
+import { seededWordSequence, randomSeed } from '../utils/seededRandom.js';
+
+const router = Router();
+
+const ownerSelect = { owner: { select: { id: true, username: true } } };
+
+function page(query) {
+  return { take: Math.min(parseInt(query.take) || 25, 100), skip: parseInt(query.skip) || 0 };
+}
+
+// Browse / search public word lists: ?q=&language=&difficulty= (word arrays omitted)
+router.get('/', async (req, res, next) => {
+  try {
+    const where = browseFilters(req.query);
+    if (req.query.q) {
+      const q = String(req.query.q).slice(0, 100);
+      where.OR = [{ name: { contains: q, mode: 'insensitive' } }, { description: { contains: q, mode: 'insensitive' } }];
+    }
+    const { take, skip } = page(req.query);
+    const [items, total] = await Promise.all([
+      prisma.wordList.findMany({ where, take, skip, orderBy: { createdAt: 'desc' }, omit: { words: true }, include: ownerSelect }),
+      prisma.wordList.count({ where })
+    ]);
+    res.json({ total, take, skip, items });
+  } catch (e) { next(e); }
+});
+
+// Word lists owned by the caller (any visibility)
+router.get('/mine', authMiddleware, async (req, res, next) => {
+  try {
+    const { take, skip } = page(req.query);
+    const items = await prisma.wordList.findMany({ where: { ownerId: req.user.id }, take, skip, orderBy: { createdAt: 'desc' }, omit: { words: true } });
+    res.json(items);
+  } catch (e) { next(e); }
+});
+
+router.post('/', authMiddleware, validateBody(WORD_LIST_SCHEMA), async (req, res, next) => {
+  try {
+    const created = await prisma.wordList.create({ data: { ...req.body, ownerId: req.user.id } });
+    res.status(201).json(created);
+  } catch (e) { next(e); }
+});
+
+async function loadReadable(req) {
+  const list = await prisma.wordList.findUnique({ where: { id: req.params.id }, include: ownerSelect });
+  if (!list || !can(await loadActor(req), 'content:read', list)) throw notFound();
+  return list;
+}
+
+router.get('/:id', optionalAuth, async (req, res, next) => {
+  try {
+    res.json(await loadReadable(req));
+  } catch (e) { next(e); }
+});
+
+// Deterministic test from this list: ?seed=&count=50 (same seed -> same words)
+router.get('/:id/test', optionalAuth, async (req, res, next) => {
+  try {
+    const list = await loadReadable(req);
+    const count = Math.min(Math.max(parseInt(req.query.count) || 50, 1), LIMITS.testWordsMax);
+    const seed = req.query.seed ? String(req.query.seed).slice(0, 64) : randomSeed();
+    res.json({ wordListId: list.id, seed, count, words: seededWordSequence(list.words, count, seed) });
+  } catch (e) { next(e); }
+});
+
+router.patch('/:id', authMiddleware, authorize('content:update', loadWordListParam), validateBody(WORD_LIST_UPDATE_SCHEMA), async (req, res, next) => {
+  try {
+    const updated = await prisma.wordList.update({ where: { id: req.params.id }, data: req.body });
+    res.json(updated);
+  } catch (e) { next(e); }
+});
+
+router.delete('/:id', authMiddleware, authorize('content:delete', loadWordListParam), async (req, res, next) => {
+  try {
+    await prisma.wordList.delete({ where: { id: req.params.id } });
+    res.status(204).end();
+  } catch (e) { next(e); }
+});
+
+export default router;
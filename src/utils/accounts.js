@@ -0,0 +1,106 @@
+import { prisma } from '../prismaClient.js';
+import { enqueueEmail } from './emailQueue.js';
+import { frontendUrl } from './email.js';
+
+/*
+ * accounts.js
+ * ---------------------------------
+ * Account lifecycle housekeeping:
+ *  - registrations that never completed email verification are purged
+ *  - self-service deletion is scheduled with a grace period (cancellable), then
+ *    processAccountDeletions() removes the account. Test results are either anonymized
+ *    (kept for global stats, detached from the user) or deleted; suggestions are always
+ *    anonymized.
+ *
+ * Env Variables:
+ *  UNVERIFIED_ACCOUNT_TTL_DAYS   delete never-verified accounts older than this (default 7, 0 disables)
+ *  ACCOUNT_DELETION_GRACE_DAYS   days between a deletion request and the actual deletion (default 14)
+ */
+
+export const DELETION_RESULTS = { ANONYMIZE: 'anonymize', DELETE: 'delete' };
+
+function ttlDays() {
+  const n = parseInt(process.env.UNVERIFIED_ACCOUNT_TTL_DAYS || '7', 10);
+  return Number.isFinite(n) ? n : 7;
+}
+
+// Deletes accounts that registered with an email, never verified it and never used the account.
+// "Never used" (never signed in, no results or suggestions) protects existing users whose verification
+// was reset by an email change. Sign-ins are read from User.lastLoginAt: session rows are pruned when they expire.
+export async function purgeUnverifiedAccounts(now = new Date()) {
+  const days = ttlDays();
+  if (days <= 0) return 0;
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.user.deleteMany({
+    where: {
+      email: { not: null },
+      emailVerifiedAt: null,
+      identities: { none: {} },
+      createdAt: { lt: cutoff },
+      lastLoginAt: null,
+      testResults: { none: {} },
+      suggestions: { none: {} }
+    }
+  });
+  return count;
+}
+
+function graceDays() {
+  const n = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+  return Number.isFinite(n) && n >= 0 ? n : 14;
+}
+
+// Mark the account for deletion and tell the owner how to cancel
+export async function scheduleAccountDeletion(user, { results = DELETION_RESULTS.ANONYMIZE } = {}) {
+  const deletionScheduledFor = new Date(Date.now() + graceDays() * 24 * 60 * 60 * 1000);
+  return prisma.$transaction(async tx => {
+    const updated = await tx.user.update({ where: { id: user.id }, data: { deletionScheduledFor, deletionResults: results } });
+    if (user.email) {
+      await enqueueEmail({
+        template: 'account-deletion-scheduled',
+        to: user.email,
+        data: { username: user.username, date: deletionScheduledFor.toISOString().slice(0, 10), link: frontendUrl('/settings/account') }
+      }, tx);
+    }
+    return updated;
+  });
+}
+
+export async function cancelAccountDeletion(userId) {
+  return prisma.user.update({ where: { id: userId }, data: { deletionScheduledFor: null, deletionResults: null } });
+}
+
+// Remove the user now. Sessions, personal bests, achievements and challenge entries go with the
+// user row (cascade); owned texts/word lists stay, ownerless.
+// `dueBefore` skips users whose deletion was cancelled in the meantime.
+export async function deleteAccount(userId, { results = DELETION_RESULTS.ANONYMIZE, dueBefore } = {}) {
+  const where = { id: userId, ...(dueBefore ? { deletionScheduledFor: { lte: dueBefore } } : {}) };
+  const user = await prisma.user.findFirst({ where, select: { id: true, email: true } });
+  if (!user) return false;
+  await prisma.$transaction(async tx => {
+    if (results === DELETION_RESULTS.DELETE) {
+      await tx.testResult.deleteMany({ where: { userId } });
+    } else {
+      await tx.testResult.updateMany({ where: { userId }, data: { userId: null } });
+    }
+    const ownSuggestions = user.email ? { OR: [{ userId }, { email: user.email }] } : { userId };
+    await tx.suggestion.updateMany({ where: ownSuggestions, data: { userId: null, name: null, email: null } });
+    if (user.email) await tx.emailOutbox.deleteMany({ where: { to: user.email } });
+    await tx.user.delete({ where: { id: userId } });
+  });
+  return true;
+}
+
+// Delete every account whose grace period is over
+export async function processAccountDeletions(now = new Date()) {
+  const due = await prisma.user.findMany({
+    where: { deletionScheduledFor: { lte: now } },
+    select: { id: true, deletionResults: true },
+    take: 100
+  });
+  let deleted = 0;
+  for (const u of due) {
+    if (await deleteAccount(u.id, { results: u.deletionResults || DELETION_RESULTS.ANONYMIZE, dueBefore: now })) deleted++;
+  }
+  return deleted;
+}
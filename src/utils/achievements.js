@@ -0,0 +1,102 @@
+import { prisma } from '../prismaClient.js';
+import { RESULT_STATUS } from './antiCheat.js';
+import { streaks } from './stats.js';
+import { emitDomainEvent, EVENTS } from './events.js';
+
+/*
+ * achievements.js
+ * ---------------------------------
+ * Badges are declared as data (ACHIEVEMENTS) and checked by a small set of evaluators.
+ * A user's history is summarized once per evaluation (getProgressContext) and every
+ * still-locked badge is compared against it; unlocks are stored in "UserAchievement".
+ *
+ * Adding a badge = adding an entry below; a new `type` needs a matching EVALUATORS entry.
+ */
+
+export const ALL_MODES = ['time', 'words', 'quote', 'zen'];
+
+export const ACHIEVEMENTS = [
+  { key: 'first-test', name: 'First Steps', description: 'Complete your first test', type: 'tests', target: 1 },
+  { key: 'tests-100', name: 'Dedicated', description: 'Complete 100 tests', type: 'tests', target: 100 },
+  { key: 'wpm-60', name: 'Getting Quick', description: 'Reach 60 wpm', type: 'wpm', target: 60 },
+  { key: 'wpm-100', name: 'Triple Digits', description: 'Reach 100 wpm for the first time', type: 'wpm', target: 100 },
+  { key: 'wpm-150', name: 'Blazing', description: 'Reach 150 wpm', type: 'wpm', target: 150 },
+  { key: 'accuracy-98-x50', name: 'Precision', description: 'Finish 50 tests at 98%+ accuracy', type: 'accurateTests', accuracy: 98, target: 50 },
+  { key: 'streak-7', name: 'Week Warrior', description: 'Practice 7 days in a row', type: 'streak', target: 7 },
+  { key: 'streak-30', name: 'Habit Formed', description: 'Practice 30 days in a row', type: 'streak', target: 30 },
+  { key: 'all-modes', name: 'Explorer', description: 'Try every test mode', type: 'modes', modes: ALL_MODES, target: ALL_MODES.length }
+];
+
+// Each evaluator maps (definition, context) -> current progress value, compared against `target`
+const EVALUATORS = {
+  tests: (_def, ctx) => ctx.tests,
+  wpm: (_def, ctx) => ctx.bestWpm,
+  accurateTests: (def, ctx) => ctx.accurateTests[def.accuracy] || 0,
+  streak: (_def, ctx) => ctx.longestStreak,
+  modes: (def, ctx) => def.modes.filter(m => ctx.modes.includes(m)).length
+};
+
+// One pass over the user's accepted history with everything the evaluators need
+export async function getProgressContext(userId) {
+  const where = { userId, status: RESULT_STATUS.ACCEPTED };
+  const accuracyLevels = [...new Set(ACHIEVEMENTS.filter(a => a.type === 'accurateTests').map(a => a.accuracy))];
+  const [agg, modeRows, streak, ...accurateCounts] = await Promise.all([
+    prisma.testResult.aggregate({ where, _count: { _all: true }, _max: { wpm: true } }),
+    prisma.testResult.findMany({ where: { ...where, mode: { not: null } }, distinct: ['mode'], select: { mode: true } }),
+    streaks(userId),
+    ...accuracyLevels.map(level => prisma.testResult.count({ where: { ...where, accuracy: { gte: level } } }))
+  ]);
+  return {
+    tests: agg._count._all || 0,
+    bestWpm: agg._max.wpm || 0,
+    modes: modeRows.map(r => r.mode),
+    longestStreak: streak.longest,
+    accurateTests: Object.fromEntries(accuracyLevels.map((level, i) => [level, accurateCounts[i]]))
+  };
+}
+
+function progressOf(def, ctx) {
+  const current = EVALUATORS[def.type](def, ctx);
+  return { current: Math.min(current, def.target), target: def.target, met: current >= def.target };
+}
+
+// Check all locked badges for a user; stores and returns the newly unlocked ones.
+export async function evaluateAchievements(userId, { resultId = null } = {}) {
+  if (!userId) return [];
+  const unlocked = await prisma.userAchievement.findMany({ where: { userId }, select: { key: true } });
+  const have = new Set(unlocked.map(u => u.key));
+  const pending = ACHIEVEMENTS.filter(a => !have.has(a.key));
+  if (!pending.length) return [];
+
+  const ctx = await getProgressContext(userId);
+  const earned = pending.filter(def => progressOf(def, ctx).met);
+  if (!earned.length) return [];
+
+  await prisma.userAchievement.createMany({
+    data: earned.map(def => ({ userId, key: def.key, resultId })),
+    skipDuplicates: true // a concurrent evaluation may have won the race
+  });
+  for (const def of earned) emitDomainEvent(EVENTS.ACHIEVEMENT_UNLOCKED, { userId, key: def.key, resultId });
+  return earned.map(def => def.key);
+}
+
+// Every badge with unlock state and progress, for profile pages
+export async function listUserAchievements(userId) {
+  const [rows, ctx] = await Promise.all([
+    prisma.userAchievement.findMany({ where: { userId } }),
+    getProgressContext(userId)
+  ]);
+  const byKey = new Map(rows.map(r => [r.key, r]));
+  return ACHIEVEMENTS.map(def => {
+    const row = byKey.get(def.key);
+    const { current, target } = progressOf(def, ctx);
+    return {
+      key: def.key,
+      name: def.name,
+      description: def.description,
+      unlocked: !!row,
+      unlockedAt: row ? row.unlockedAt : null,
+      progress: { current: row ? target : current, target }
+    };
+  });
+}
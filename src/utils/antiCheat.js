@@ -0,0 +1,126 @@
+/*
+ * antiCheat.js
+ * ---------------------------------
+ * Server-side plausibility checks for submitted typing results.
+ *  - errors: the numbers contradict each other / are impossible -> reject
+ *  - flags:  possible but suspicious (above human ceilings, scripted timing)
+ *            -> stored with status 'flagged' and kept off leaderboards/aggregates
+ *
+ * Env Variables:
+ *  ANTICHEAT_WPM_TOLERANCE       relative slack when comparing wpm to characters/duration (default 0.1)
+ *  ANTICHEAT_MAX_KEYSTROKES      max keystroke entries accepted per result (default 10000)
+ */
+
+export const RESULT_STATUS = { ACCEPTED: 'accepted', FLAGGED: 'flagged' };
+
+// Anything above this is rejected outright, whatever the mode.
+const ABSOLUTE_MAX_WPM = 400;
+
+// Plausible human ceilings (flag above). Short sprints allow higher bursts.
+const MODE_CEILINGS = {
+  time: 260,
+  words: 260,
+  quote: 230,
+  race: 230, // races are typed from texts, like quotes
+  zen: 260
+};
+const DEFAULT_CEILING = 250;
+const SPRINT_BONUS = { 15: 60, 30: 30 };
+
+// Keystroke timing heuristics
+const MIN_KEYSTROKES_FOR_TIMING = 20;
+const MIN_HUMAN_DELTA_MS = 10;
+const MAX_FAST_DELTA_RATIO = 0.2;
+const MIN_TIMING_VARIATION = 0.12; // coefficient of variation; scripts are metronome-like
+
+function toInt(val, def) {
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : def;
+}
+
+function toFloat(val, def) {
+  const n = parseFloat(val);
+  return Number.isFinite(n) ? n : def;
+}
+
+function isNum(v) { return typeof v === 'number' && Number.isFinite(v); }
+
+export function maxKeystrokes() {
+  return toInt(process.env.ANTICHEAT_MAX_KEYSTROKES, 10000);
+}
+
+export function wpmCeiling(mode, durationSec) {
+  const base = MODE_CEILINGS[mode] ?? DEFAULT_CEILING;
+  if (!durationSec) return base;
+  const sprint = Object.keys(SPRINT_BONUS)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .find(limit => durationSec <= limit);
+  return base + (sprint ? SPRINT_BONUS[sprint] : 0);
+}
+
+// Accepts either raw millisecond deltas or keystroke objects carrying `delta`.
+export function keystrokeDeltas(keystrokes) {
+  if (!Array.isArray(keystrokes)) return [];
+  return keystrokes
+    .map(k => (typeof k === 'number' ? k : Number(k?.delta)))
+    .filter(d => Number.isFinite(d) && d >= 0);
+}
+
+function checkConsistency(r, errors) {
+  if (!isNum(r.wpm) || r.wpm < 0) errors.push('wpm must be a non-negative number');
+  if (!isNum(r.accuracy) || r.accuracy < 0 || r.accuracy > 100) errors.push('accuracy must be between 0 and 100');
+  if (r.rawWpm != null && (!isNum(r.rawWpm) || r.rawWpm < 0)) errors.push('rawWpm must be a non-negative number');
+  if (r.characters != null && (!Number.isInteger(r.characters) || r.characters < 0)) errors.push('characters must be a non-negative integer');
+  if (r.durationSec != null && (!Number.isInteger(r.durationSec) || r.durationSec <= 0)) errors.push('durationSec must be a positive integer');
+  if (errors.length) return;
+
+  if (r.wpm > ABSOLUTE_MAX_WPM) errors.push(`wpm above ${ABSOLUTE_MAX_WPM} is not humanly possible`);
+  if (r.rawWpm != null && r.rawWpm < r.wpm) errors.push('rawWpm cannot be lower than wpm');
+
+  if (r.characters != null && r.durationSec) {
+    const tolerance = toFloat(process.env.ANTICHEAT_WPM_TOLERANCE, 0.1);
+    const slack = wpm => Math.max(5, wpm * tolerance);
+    const computedRaw = (r.characters / 5) / (r.durationSec / 60);
+    if (r.wpm > computedRaw + slack(computedRaw)) errors.push('wpm does not match characters/durationSec');
+    if (r.rawWpm != null && Math.abs(r.rawWpm - computedRaw) > slack(computedRaw)) errors.push('rawWpm does not match characters/durationSec');
+  }
+}
+
+function checkCeiling(r, flags) {
+  const ceiling = wpmCeiling(r.mode, r.durationSec);
+  if (r.wpm > ceiling) flags.push('wpm_above_human_ceiling');
+  if (r.rawWpm != null && r.rawWpm > ceiling + 20) flags.push('raw_wpm_above_human_ceiling');
+}
+
+function checkKeystrokes(r, keystrokes, errors, flags) {
+  if (keystrokes == null) return;
+  if (!Array.isArray(keystrokes)) { errors.push('keystrokes must be an array'); return; }
+  if (keystrokes.length > maxKeystrokes()) { errors.push('keystrokes log too large'); return; }
+  const deltas = keystrokeDeltas(keystrokes);
+  if (deltas.length < MIN_KEYSTROKES_FOR_TIMING) return;
+
+  const mean = deltas.reduce((a, b) => a + b, 0) / deltas.length;
+  const variance = deltas.reduce((a, d) => a + (d - mean) ** 2, 0) / deltas.length;
+  const cv = mean > 0 ? Math.sqrt(variance) / mean : 0;
+  if (cv < MIN_TIMING_VARIATION) flags.push('uniform_keystroke_timing');
+
+  const fast = deltas.filter(d => d < MIN_HUMAN_DELTA_MS).length;
+  if (fast / deltas.length > MAX_FAST_DELTA_RATIO) flags.push('inhuman_keystroke_speed');
+
+  if (r.durationSec) {
+    const total = deltas.reduce((a, b) => a + b, 0);
+    if (total > r.durationSec * 1000 * 1.1 + 1000) flags.push('keystroke_duration_mismatch');
+  }
+  if (r.characters != null && keystrokes.length < r.characters * 0.9) flags.push('keystroke_count_mismatch');
+}
+
+// Returns { errors, flags, status }. Non-empty errors means the result must be rejected.
+export function validateResult(result, keystrokes) {
+  const errors = [];
+  const flags = [];
+  checkConsistency(result, errors);
+  if (!errors.length) checkCeiling(result, flags);
+  checkKeystrokes(result, keystrokes, errors, flags);
+  return { errors, flags, status: flags.length ? RESULT_STATUS.FLAGGED : RESULT_STATUS.ACCEPTED };
+}
@@ -0,0 +1,192 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prismaClient.js';
+import { badRequest } from '../middleware/errors.js';
+import { RESULT_STATUS } from './antiCheat.js';
+import { randomSeed, seedToInt, seededWordSequence } from './seededRandom.js';
+import { LIMITS } from './corpus.js';
+import { ANONYMOUS_SQL, anonymizeEntry } from './profiles.js';
+import { followingCondition } from './social.js';
+
+/*
+ * challenges.js (daily challenge)
+ * ---------------------------------
+ *  - One DailyChallenge per UTC day, created lazily on first request
+ *  - Content: a public text if any exist, else a public word list, else just a seed
+ *    (the frontend's built-in word pool seeded with it)
+ *  - Results use mode 'daily'; each user's first accepted attempt becomes their ranked ChallengeEntry,
+ *    other attempts are stored but unranked. Entries flagged later by a moderator are hidden from the board.
+ *
+ * Env Variables:
+ *  DAILY_CHALLENGE_DURATION_SEC  test length of the daily challenge (default 60)
+ */
+
+export const DAILY_MODE = 'daily';
+
+export function utcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+export function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function parseDay(raw) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(raw))) throw badRequest('date must be YYYY-MM-DD');
+  const d = new Date(`${raw}T00:00:00.000Z`);
+  if (Number.isNaN(d.getTime())) throw badRequest('Invalid date');
+  return d;
+}
+
+async function pickContent(seed) {
+  const textCount = await prisma.text.count({ where: { visibility: 'public' } });
+  if (textCount) {
+    const [text] = await prisma.text.findMany({ where: { visibility: 'public' }, orderBy: { id: 'asc' }, skip: seedToInt(seed) % textCount, take: 1, select: { id: true } });
+    return { textId: text.id };
+  }
+  const listCount = await prisma.wordList.count({ where: { visibility: 'public' } });
+  if (listCount) {
+    const [list] = await prisma.wordList.findMany({ where: { visibility: 'public' }, orderBy: { id: 'asc' }, skip: seedToInt(seed) % listCount, take: 1, select: { id: true } });
+    return { wordListId: list.id };
+  }
+  return {};
+}
+
+export async function getOrCreateChallenge(day = utcDay()) {
+  const existing = await prisma.dailyChallenge.findUnique({ where: { date: day } });
+  if (existing) return existing;
+  const seed = randomSeed();
+  try {
+    return await prisma.dailyChallenge.create({
+      data: {
+        date: day,
+        seed,
+        mode: DAILY_MODE,
+        durationSec: parseInt(process.env.DAILY_CHALLENGE_DURATION_SEC || '60', 10),
+        ...(await pickContent(seed))
+      }
+    });
+  } catch (e) {
+    // Another request created today's challenge first
+    if (e.code === 'P2002') return prisma.dailyChallenge.findUnique({ where: { date: day } });
+    throw e;
+  }
+}
+
+// Public shape of a challenge with the content players type: the text, or the seeded words from the list
+export async function describeChallenge(challenge) {
+  const [text, list] = await Promise.all([
+    challenge.textId ? prisma.text.findUnique({ where: { id: challenge.textId }, select: { id: true, title: true, content: true, source: true, language: true } }) : null,
+    challenge.wordListId ? prisma.wordList.findUnique({ where: { id: challenge.wordListId }, select: { id: true, name: true, words: true, language: true } }) : null
+  ]);
+  // Enough words for 240 wpm over the whole test
+  const count = Math.min(challenge.durationSec * 4, LIMITS.testWordsMax);
+  return {
+    id: challenge.id,
+    date: formatDay(challenge.date),
+    mode: challenge.mode,
+    durationSec: challenge.durationSec,
+    seed: challenge.seed,
+    text,
+    wordList: list ? { id: list.id, name: list.name, language: list.language } : null,
+    words: list ? seededWordSequence(list.words, count, challenge.seed) : null
+  };
+}
+
+// Validate a 'daily' submission and pin it to today's challenge content. Mutates `data`.
+export async function applyChallenge(data, challengeId) {
+  if (data.mode !== DAILY_MODE) return null;
+  const today = await getOrCreateChallenge();
+  if (challengeId && challengeId !== today.id) throw badRequest('This challenge is closed');
+  if (data.durationSec != null && data.durationSec !== today.durationSec) throw badRequest(`Daily challenge is ${today.durationSec}s`);
+  Object.assign(data, { challengeId: today.id, durationSec: today.durationSec, seed: today.seed, textId: today.textId, wordListId: today.wordListId });
+  return today;
+}
+
+// Inside the submission transaction: the first accepted attempt per user is the ranked one, so a
+// flagged attempt doesn't use up the day's entry
+export async function recordChallengeEntry(result, client = prisma) {
+  if (!result.challengeId || !result.userId || result.status !== RESULT_STATUS.ACCEPTED) return false;
+  const { count } = await client.challengeEntry.createMany({
+    data: [{ challengeId: result.challengeId, userId: result.userId, resultId: result.id }],
+    skipDuplicates: true
+  });
+  return count === 1;
+}
+
+function toEntry(row, viewerId) {
+  return anonymizeEntry({
+    rank: Number(row.rank),
+    userId: row.userId,
+    username: row.username,
+    resultId: row.resultId,
+    wpm: row.wpm,
+    accuracy: row.accuracy,
+    createdAt: row.createdAt
+  }, row.anonymous, viewerId);
+}
+
+export async function getChallengeLeaderboard(challengeId, { take = 50, skip = 0, userId, scope = 'global' } = {}) {
+  const followed = scope === 'following' ? Prisma.sql`AND ${followingCondition(Prisma.sql`e."userId"`, userId)}` : Prisma.empty;
+  const ranked = Prisma.sql`
+    WITH ranked AS (
+      SELECT e."userId", e."resultId", t."wpm", t."accuracy", t."createdAt",
+        ROW_NUMBER() OVER (ORDER BY t."wpm" DESC, t."accuracy" DESC, t."createdAt" ASC, e."userId") AS "rank"
+      FROM "ChallengeEntry" e JOIN "TestResult" t ON t."id" = e."resultId"
+      WHERE e."challengeId" = ${challengeId} AND t."status" = ${RESULT_STATUS.ACCEPTED} ${followed}
+    )`;
+  const [rows, countRows, meRows] = await Promise.all([
+    prisma.$queryRaw`${ranked}
+      SELECT r.*, u."username", ${ANONYMOUS_SQL} AS "anonymous" FROM ranked r JOIN "User" u ON u."id" = r."userId"
+      ORDER BY r."rank" ASC LIMIT ${take} OFFSET ${skip}`,
+    prisma.$queryRaw`${ranked} SELECT COUNT(*)::int AS "total" FROM ranked`,
+    userId
+      ? prisma.$queryRaw`${ranked}
+        SELECT r.*, u."username", ${ANONYMOUS_SQL} AS "anonymous" FROM ranked r JOIN "User" u ON u."id" = r."userId" WHERE r."userId" = ${userId}`
+      : Promise.resolve([])
+  ]);
+  return {
+    scope,
+    total: countRows[0]?.total || 0,
+    take,
+    skip,
+    items: rows.map(row => toEntry(row, userId)),
+    me: meRows[0] ? toEntry(meRows[0], userId) : null
+  };
+}
+
+// Past challenges (newest first) with participant count and winner
+export async function listChallengeHistory({ take = 30, skip = 0 } = {}) {
+  const rows = await prisma.$queryRaw`
+    SELECT c."id", to_char(c."date", 'YYYY-MM-DD') AS "date", c."seed", c."durationSec", c."textId", c."wordListId",
+      COUNT(e."id") FILTER (WHERE t."status" = ${RESULT_STATUS.ACCEPTED})::int AS "participants",
+      w."userId" AS "winnerId", w."username" AS "winnerUsername", w."wpm" AS "winnerWpm", w."accuracy" AS "winnerAccuracy",
+      w."anonymous" AS "winnerAnonymous"
+    FROM "DailyChallenge" c
+    LEFT JOIN "ChallengeEntry" e ON e."challengeId" = c."id"
+    LEFT JOIN "TestResult" t ON t."id" = e."resultId"
+    LEFT JOIN LATERAL (
+      SELECT e2."userId", u."username", t2."wpm", t2."accuracy", ${ANONYMOUS_SQL} AS "anonymous"
+      FROM "ChallengeEntry" e2
+      JOIN "TestResult" t2 ON t2."id" = e2."resultId"
+      JOIN "User" u ON u."id" = e2."userId"
+      WHERE e2."challengeId" = c."id" AND t2."status" = ${RESULT_STATUS.ACCEPTED}
+      ORDER BY t2."wpm" DESC, t2."accuracy" DESC, t2."createdAt" ASC
+      LIMIT 1
+    ) w ON TRUE
+    WHERE c."date" < ${utcDay()}
+    GROUP BY c."id", w."userId", w."username", w."wpm", w."accuracy", w."anonymous"
+    ORDER BY c."date" DESC
+    LIMIT ${take} OFFSET ${skip}`;
+  return rows.map(r => ({
+    id: r.id,
+    date: r.date,
+    seed: r.seed,
+    durationSec: r.durationSec,
+    textId: r.textId,
+    wordListId: r.wordListId,
+    participants: r.participants,
+    winner: r.winnerId
+      ? anonymizeEntry({ userId: r.winnerId, username: r.winnerUsername, wpm: r.winnerWpm, accuracy: r.winnerAccuracy }, r.winnerAnonymous)
+      : null
+  }));
+}
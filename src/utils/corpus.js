@@ -0,0 +1,86 @@
+import { badRequest } from '../middleware/errors.js';
+import { field } from '../middleware/validate.js';
+
+/*
+ * corpus.js
+ * ---------------------------------
+ * Shared rules for user-provided test content (Text = quote/passage, WordList = word pool).
+ */
+
+export const VISIBILITY = ['private', 'unlisted', 'public'];
+export const DIFFICULTY = ['easy', 'medium', 'hard'];
+
+export const LIMITS = {
+  titleMax: 120,
+  descriptionMax: 500,
+  contentMin: 10,
+  contentMax: 5000,
+  wordsMin: 10,
+  wordsMax: 5000,
+  wordMax: 40,
+  testWordsMax: 1000
+};
+
+const LANGUAGE_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+function pickEnum(value, allowed, name) {
+  if (value === undefined) return undefined;
+  if (!allowed.includes(value)) throw badRequest(`${name} must be one of ${allowed.join(', ')}`);
+  return value;
+}
+
+// Fields shared by texts and word lists; the columns default to language 'en' and visibility 'private'
+const COMMON_FIELDS = {
+  language: field.string({ pattern: LANGUAGE_RE, patternMessage: 'must be a language code like "en" or "pt-BR"' }),
+  difficulty: field.oneOf(DIFFICULTY, { nullable: true }),
+  visibility: field.oneOf(VISIBILITY)
+};
+
+export const TEXT_SCHEMA = {
+  title: field.string({ required: true, min: 1, max: LIMITS.titleMax }),
+  content: field.string({ required: true, min: LIMITS.contentMin, max: LIMITS.contentMax }),
+  source: field.string({ nullable: true, max: LIMITS.titleMax }),
+  ...COMMON_FIELDS
+};
+
+// PATCH: everything optional; only source can be cleared
+export const TEXT_UPDATE_SCHEMA = {
+  ...TEXT_SCHEMA,
+  title: field.string({ min: 1, max: LIMITS.titleMax }),
+  content: field.string({ min: LIMITS.contentMin, max: LIMITS.contentMax })
+};
+
+function distinctWords(words) {
+  return [...new Set(words.map(w => (typeof w === 'string' ? w.trim() : '')).filter(Boolean))];
+}
+
+function wordsError(words) {
+  if (words.length < LIMITS.wordsMin) return `must contain at least ${LIMITS.wordsMin} distinct words`;
+  if (words.length > LIMITS.wordsMax) return `must contain at most ${LIMITS.wordsMax} words`;
+  if (words.some(w => w.length > LIMITS.wordMax)) return `each word must be at most ${LIMITS.wordMax} characters`;
+}
+
+const wordsField = opts => field.array({ ...opts, split: /\s+/, normalize: distinctWords, check: wordsError });
+
+// `words` is an array or a whitespace separated string
+export const WORD_LIST_SCHEMA = {
+  name: field.string({ required: true, min: 1, max: LIMITS.titleMax }),
+  description: field.string({ nullable: true, max: LIMITS.descriptionMax }),
+  words: wordsField({ required: true }),
+  ...COMMON_FIELDS
+};
+
+// PATCH: everything optional; only description can be cleared
+export const WORD_LIST_UPDATE_SCHEMA = {
+  ...WORD_LIST_SCHEMA,
+  name: field.string({ min: 1, max: LIMITS.titleMax }),
+  words: wordsField()
+};
+
+// Query filters shared by the public browse endpoints
+export function browseFilters(query) {
+  const where = { visibility: 'public' };
+  if (query.language) where.language = String(query.language);
+  if (query.difficulty) where.difficulty = pickEnum(String(query.difficulty), DIFFICULTY, 'difficulty');
+  return where;
+}
@@ -0,0 +1,21 @@
+/*
+ * csv.js
+ * ---------------------------------
+ * Minimal RFC 4180 writer for exports. Cells that a spreadsheet would evaluate as a
+ * formula (=, +, -, @) are prefixed with a quote.
+ */
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  let s = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join(';') : String(value);
+  if (/^[=+\-@\t\r]/.test(s) && typeof value === 'string') s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// `columns` is a list of keys, or [header, row => value] pairs
+export function toCsv(rows, columns) {
+  const cols = columns.map(c => (Array.isArray(c) ? c : [c, row => row[c]]));
+  const lines = [cols.map(([header]) => cell(header)).join(',')];
+  for (const row of rows) lines.push(cols.map(([, get]) => cell(get(row))).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,47 @@
+import { prisma } from '../prismaClient.js';
+import { toCsv } from './csv.js';
+
+/*
+ * dataExport.js
+ * ---------------------------------
+ * Personal data export (GET /users/me/export): everything stored about a user, minus
+ * secrets (password hash, token hashes). JSON returns the whole archive; CSV returns one
+ * section per request because a CSV file holds a single table.
+ */
+
+export const EXPORT_FORMATS = ['json', 'csv'];
+
+const RESULT_COLUMNS = ['id', 'createdAt', 'mode', 'durationSec', 'wpm', 'rawWpm', 'accuracy', 'characters', 'status', 'flagReasons', 'textId', 'wordListId', 'seed'];
+
+export const CSV_SECTIONS = {
+  results: { key: 'testResults', columns: RESULT_COLUMNS },
+  suggestions: { key: 'suggestions', columns: ['id', 'createdAt', 'status', 'name', 'email', 'message'] },
+  'personal-bests': { key: 'personalBests', columns: ['mode', 'durationSec', 'wpm', 'accuracy', 'resultId', 'achievedAt'] },
+  achievements: { key: 'achievements', columns: ['key', 'unlockedAt', 'resultId'] },
+  sessions: { key: 'sessions', columns: ['createdAt', 'expiresAt', 'revokedAt', 'userAgent', 'ip'] }
+};
+
+export async function buildUserExport(userId) {
+  const [profile, testResults, suggestions, personalBests, achievements, sessions, texts, wordLists, following, blocks] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      omit: { passwordHash: true, emailVerificationToken: true, passwordResetTokenHash: true }
+    }),
+    prisma.testResult.findMany({ where: { userId }, orderBy: { createdAt: 'asc' }, select: Object.fromEntries(RESULT_COLUMNS.map(c => [c, true])) }),
+    prisma.suggestion.findMany({ where: { userId }, orderBy: { createdAt: 'asc' }, select: { id: true, createdAt: true, status: true, name: true, email: true, message: true } }),
+    prisma.personalBest.findMany({ where: { userId }, orderBy: [{ mode: 'asc' }, { durationSec: 'asc' }] }),
+    prisma.userAchievement.findMany({ where: { userId }, orderBy: { unlockedAt: 'asc' } }),
+    prisma.session.findMany({ where: { userId }, orderBy: { createdAt: 'asc' }, select: { createdAt: true, expiresAt: true, revokedAt: true, userAgent: true, ip: true } }),
+    prisma.text.findMany({ where: { ownerId: userId }, orderBy: { createdAt: 'asc' } }),
+    prisma.wordList.findMany({ where: { ownerId: userId }, orderBy: { createdAt: 'asc' } }),
+    prisma.follow.findMany({ where: { followerId: userId }, orderBy: { createdAt: 'asc' }, select: { followingId: true, createdAt: true } }),
+    prisma.block.findMany({ where: { blockerId: userId }, orderBy: { createdAt: 'asc' }, select: { blockedId: true, createdAt: true } })
+  ]);
+  if (!profile) return null;
+  return { exportedAt: new Date().toISOString(), profile, testResults, suggestions, personalBests, achievements, sessions, texts, wordLists, following, blocks };
+}
+
+export function exportSectionCsv(archive, section) {
+  const { key, columns } = CSV_SECTIONS[section];
+  return toCsv(archive[key], columns);
+}
@@ -1,13 +1,16 @@
 import crypto from 'crypto';
 import nodemailer from 'nodemailer';
 import https from 'https';
+import { renderEmail } from './emailTemplates.js';
 
 /*
  * email.js (SMTP via Nodemailer OR Resend API)
  * ---------------------------------
  * Responsibilities:
- *  - Generate verification token
- *  - Build verification link (frontend preferred, backend fallback)
+ *  - Generate verification / password reset tokens
+ *  - Build verification link (frontend preferred, backend fallback) and reset link
+ *  - Render templates from emailTemplates.js (sendEmail({ template, to, data, locale })); only the
+ *    outbox worker calls it, routes enqueue through emailQueue.js
  *  - Send email via either:
  *      - SMTP (Nodemailer, pooled connections), or
  *      - Resend HTTP API (useful when outbound SMTP ports are blocked,
@@ -31,6 +34,8 @@ import https from 'https';
  *  --- Shared ---
  *  EMAIL_FROM                    e.g. "Zebra Board <no-reply@yourdomain.com>"
  *  FRONTEND_VERIFY_URL           optional, if set builds link to frontend page
+ *  FRONTEND_RESET_URL            password reset page (default FRONTEND_BASE_URL + /reset-password)
+ *  PASSWORD_RESET_EXPIRES_MINUTES  reset link lifetime, shown in the email (default 60, read by routes/auth.js)
  *  BACKEND_BASE_URL / OAUTH_CALLBACK_URL  fallback for backend verify link
  *  EMAIL_API_TIMEOUT_MS          per-attempt timeout (default 10000)
  *  EMAIL_API_RETRIES             total attempts including first (default 3)
@@ -126,8 +131,15 @@ export function generateVerificationToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
-export async function sendVerificationEmail({ to, token }) {
-  const { subject, text, html } = buildVerificationContent(token);
+// Render a registered template (see emailTemplates.js) and send it.
+// `attempts` overrides EMAIL_API_RETRIES (the outbox worker sends one attempt at a time).
+export async function sendEmail({ template, to, data = {}, locale, attempts }) {
+  const { subject, text, html } = renderEmail(template, data, locale);
+  return deliver({ to, subject, text, html, attempts });
+}
+
+// Shared send path: transport selection (smtp/api), mock mode and retry with exponential backoff
+async function deliver({ to, subject, text, html, attempts: attemptsOverride }) {
   const from = process.env.EMAIL_FROM || 'no-reply@example.com';
   if (from.endsWith('@example.com')) {
     console.warn('[Email] Placeholder from address in use. Set EMAIL_FROM to a verified identity.');
@@ -143,7 +155,7 @@ export async function sendVerificationEmail({ to, token }) {
   }
 
   const message = { from, to, subject, text, html };
-  const attempts = toInt(process.env.EMAIL_API_RETRIES, 3);
+  const attempts = attemptsOverride || toInt(process.env.EMAIL_API_RETRIES, 3);
   const timeoutMs = toInt(process.env.EMAIL_API_TIMEOUT_MS, 10000);
   const baseBackoff = toInt(process.env.EMAIL_API_RETRY_BACKOFF_MS, 500);
   const logFailures = (process.env.EMAIL_API_LOG_FAILURES || 'true').toLowerCase() === 'true';
@@ -179,20 +191,21 @@ export async function sendVerificationEmail({ to, token }) {
   throw lastErr || new Error('Unknown email send failure');
 }
 
-function buildVerificationContent(token) {
+export function frontendUrl(path = '/') {
+  const base = (process.env.FRONTEND_BASE_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${base}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
+export function verificationLink(token) {
   const backendBase = (process.env.BACKEND_BASE_URL || process.env.OAUTH_CALLBACK_URL || 'http://localhost:4000').replace(/\/$/, '');
-  const primaryLink = (process.env.FRONTEND_VERIFY_URL
+  return process.env.FRONTEND_VERIFY_URL
     ? `${process.env.FRONTEND_VERIFY_URL.replace(/\/$/, '')}?token=${encodeURIComponent(token)}`
-    : `${backendBase}/auth/verify-email?token=${encodeURIComponent(token)}`);
-
-  const subject = 'Verify your email address';
-  const text = `Welcome to Zebra Board!\n\nPlease verify your email by opening this link:\n${primaryLink}\n\nIf you did not create an account, you can ignore this email.`;
-  const html = `<p>Welcome to <strong>Zebra Board</strong>!</p>
-  <p>Please verify your email by clicking the button below:</p>
-  <p><a href="${primaryLink}" style="background:#111;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none;display:inline-block;">Verify Email</a></p>
-  <p style="margin-top:12px;">If the button doesn't work, copy this URL:</p>
-  <p><code>${primaryLink}</code></p>`;
-  return { subject, text, html };
+    : `${backendBase}/auth/verify-email?token=${encodeURIComponent(token)}`;
+}
+
+export function passwordResetLink(token) {
+  const page = (process.env.FRONTEND_RESET_URL || frontendUrl('/reset-password')).replace(/\/$/, '');
+  return `${page}?token=${encodeURIComponent(token)}`;
 }
 
 // --- SMTP path (Nodemailer) ---
@@ -0,0 +1,153 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prismaClient.js';
+import { sendEmail } from './email.js';
+import { renderEmail } from './emailTemplates.js';
+
+/*
+ * emailQueue.js (Postgres outbox)
+ * ---------------------------------
+ *  - enqueueEmail() stores a row in "EmailOutbox" (optionally inside the caller's transaction)
+ *  - An in-process worker polls for due rows, claims them with FOR UPDATE SKIP LOCKED and
+ *    sends one attempt per claim; failures are retried with exponential backoff
+ *  - Every attempt is recorded in "EmailAttempt"; after maxAttempts the message is 'dead'
+ *  - Rows stuck in 'sending' (process died mid-send) are released after EMAIL_QUEUE_LOCK_TIMEOUT_MS
+ *  - Template data (it contains one-time links) is cleared once a message is sent
+ *
+ * Env Variables:
+ *  EMAIL_QUEUE_POLL_MS           worker poll interval (default 5000)
+ *  EMAIL_QUEUE_BATCH_SIZE        messages claimed per tick (default 10)
+ *  EMAIL_QUEUE_MAX_ATTEMPTS      attempts before dead-lettering (default 8)
+ *  EMAIL_QUEUE_BACKOFF_MS        base retry delay, doubled per attempt (default 30000)
+ *  EMAIL_QUEUE_MAX_BACKOFF_MS    retry delay cap (default 3600000)
+ *  EMAIL_QUEUE_LOCK_TIMEOUT_MS   release 'sending' rows older than this (default 300000)
+ *  EMAIL_QUEUE_DISABLED          'true' to not start the worker in this process
+ */
+
+export const EMAIL_STATUS = { PENDING: 'pending', SENDING: 'sending', SENT: 'sent', DEAD: 'dead' };
+
+function toInt(val, def) {
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : def;
+}
+
+function backoffMs(attempts) {
+  const base = toInt(process.env.EMAIL_QUEUE_BACKOFF_MS, 30000);
+  const max = toInt(process.env.EMAIL_QUEUE_MAX_BACKOFF_MS, 3600000);
+  return Math.min(base * Math.pow(2, Math.max(attempts - 1, 0)), max);
+}
+
+// Queue a templated email. Pass `client` (a transaction client) to enqueue atomically with other writes.
+export async function enqueueEmail({ template, to, data = {}, locale }, client = prisma) {
+  if (!to) throw new Error('enqueueEmail: recipient required');
+  renderEmail(template, data, locale); // fail fast on unknown template / missing data
+  return client.emailOutbox.create({
+    data: {
+      template,
+      to,
+      data,
+      locale: locale || null,
+      maxAttempts: toInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS, 8)
+    }
+  });
+}
+
+async function releaseStaleLocks() {
+  const cutoff = new Date(Date.now() - toInt(process.env.EMAIL_QUEUE_LOCK_TIMEOUT_MS, 300000));
+  await prisma.emailOutbox.updateMany({
+    where: { status: EMAIL_STATUS.SENDING, lockedAt: { lt: cutoff } },
+    data: { status: EMAIL_STATUS.PENDING, lockedAt: null }
+  });
+}
+
+// Atomically move up to `limit` due messages to 'sending' and return them
+async function claimBatch(limit) {
+  return prisma.$queryRaw`
+    UPDATE "EmailOutbox" SET "status" = ${EMAIL_STATUS.SENDING}, "lockedAt" = NOW(), "updatedAt" = NOW()
+    WHERE "id" IN (
+      SELECT "id" FROM "EmailOutbox"
+      WHERE "status" = ${EMAIL_STATUS.PENDING} AND "nextAttemptAt" <= NOW()
+      ORDER BY "nextAttemptAt" ASC
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`;
+}
+
+async function deliverOne(message) {
+  const attempt = message.attempts + 1;
+  const started = Date.now();
+  try {
+    const result = await sendEmail({ template: message.template, to: message.to, data: message.data || {}, locale: message.locale || undefined, attempts: 1 });
+    await prisma.$transaction([
+      prisma.emailAttempt.create({ data: { messageId: message.id, attempt, success: true, providerMessageId: result.messageId || null, durationMs: Date.now() - started } }),
+      prisma.emailOutbox.update({
+        where: { id: message.id },
+        data: { status: EMAIL_STATUS.SENT, attempts: attempt, sentAt: new Date(), lockedAt: null, lastError: null, data: Prisma.DbNull }
+      })
+    ]);
+    return true;
+  } catch (err) {
+    const error = String(err?.message || err).slice(0, 1000);
+    const dead = attempt >= message.maxAttempts;
+    await prisma.$transaction([
+      prisma.emailAttempt.create({ data: { messageId: message.id, attempt, success: false, error, durationMs: Date.now() - started } }),
+      prisma.emailOutbox.update({
+        where: { id: message.id },
+        data: {
+          status: dead ? EMAIL_STATUS.DEAD : EMAIL_STATUS.PENDING,
+          attempts: attempt,
+          lastError: error,
+          lockedAt: null,
+          nextAttemptAt: new Date(Date.now() + backoffMs(attempt))
+        }
+      })
+    ]);
+    if (dead) console.warn(`[EmailQueue] Message ${message.id} dead after ${attempt} attempts:`, error);
+    return false;
+  }
+}
+
+// One worker tick: release stale locks, claim a batch and send it. Returns counts.
+export async function processEmailQueue() {
+  await releaseStaleLocks();
+  const batch = await claimBatch(toInt(process.env.EMAIL_QUEUE_BATCH_SIZE, 10));
+  let sent = 0;
+  for (const message of batch) {
+    if (await deliverOne(message)) sent++;
+  }
+  return { claimed: batch.length, sent, failed: batch.length - sent };
+}
+
+let workerTimer = null;
+let ticking = false;
+
+export function startEmailWorker() {
+  if (workerTimer || process.env.EMAIL_QUEUE_DISABLED === 'true') return;
+  const interval = toInt(process.env.EMAIL_QUEUE_POLL_MS, 5000);
+  workerTimer = setInterval(async () => {
+    if (ticking) return; // previous tick still sending
+    ticking = true;
+    try {
+      await processEmailQueue();
+    } catch (e) {
+      console.warn('[EmailQueue] Worker tick failed:', e.message || e);
+    } finally {
+      ticking = false;
+    }
+  }, interval);
+  workerTimer.unref();
+  console.log(`[EmailQueue] Worker started (poll ${interval}ms)`);
+}
+
+export function stopEmailWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+// Put a dead (or pending) message back in line with a fresh attempt budget
+export async function replayEmail(id) {
+  return prisma.emailOutbox.update({
+    where: { id },
+    data: { status: EMAIL_STATUS.PENDING, attempts: 0, nextAttemptAt: new Date(), lockedAt: null, lastError: null }
+  });
+}
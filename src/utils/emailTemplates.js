@@ -0,0 +1,218 @@
+/*
+ * emailTemplates.js
+ * ---------------------------------
+ * Registry of transactional email templates. Rendering is pure (no I/O) so
+ * templates can be previewed or asserted on without sending anything:
+ *
+ *   renderEmail('password-reset', { link, minutes }, 'en') -> { subject, text, html }
+ *
+ *  - Each template has per-locale variants; unknown locales fall back to DEFAULT_LOCALE
+ *  - {{var}} / {{a.b}} placeholders; values are HTML-escaped in html, left as-is in text/subject
+ *  - html bodies are wrapped in a shared layout, text bodies get a shared footer
+ *  - `required` lists data keys that must be present (rendering throws otherwise)
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+const BUTTON_STYLE = 'background:#111;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none;display:inline-block;';
+
+const button = (href, label) => `<p><a href="${href}" style="${BUTTON_STYLE}">${label}</a></p>`;
+const linkFallback = (href, hint) => `<p style="margin-top:12px;">${hint}</p>
+  <p><code>${href}</code></p>`;
+
+const LAYOUT = {
+  en: { footer: 'You are receiving this email because of your Zebra Board account.' },
+  es: { footer: 'Recibes este correo por tu cuenta de Zebra Board.' }
+};
+
+const TEMPLATES = {
+  verification: {
+    required: ['link'],
+    locales: {
+      en: {
+        subject: 'Verify your email address',
+        text: 'Welcome to Zebra Board!\n\nPlease verify your email by opening this link:\n{{link}}\n\nIf you did not create an account, you can ignore this email.',
+        html: `<p>Welcome to <strong>Zebra Board</strong>!</p>
+  <p>Please verify your email by clicking the button below:</p>
+  ${button('{{link}}', 'Verify Email')}
+  ${linkFallback('{{link}}', "If the button doesn't work, copy this URL:")}`
+      },
+      es: {
+        subject: 'Verifica tu dirección de correo',
+        text: '¡Bienvenido a Zebra Board!\n\nVerifica tu correo abriendo este enlace:\n{{link}}\n\nSi no creaste una cuenta, puedes ignorar este correo.',
+        html: `<p>¡Bienvenido a <strong>Zebra Board</strong>!</p>
+  <p>Verifica tu correo con el botón de abajo:</p>
+  ${button('{{link}}', 'Verificar correo')}
+  ${linkFallback('{{link}}', 'Si el botón no funciona, copia esta URL:')}`
+      }
+    }
+  },
+
+  welcome: {
+    required: ['username', 'link'],
+    locales: {
+      en: {
+        subject: 'Welcome to Zebra Board, {{username}}!',
+        text: 'Hi {{username}},\n\nYour account is ready. Jump into a test and start climbing the leaderboards:\n{{link}}\n\nHappy typing!',
+        html: `<p>Hi <strong>{{username}}</strong>,</p>
+  <p>Your account is ready. Jump into a test and start climbing the leaderboards.</p>
+  ${button('{{link}}', 'Start typing')}
+  <p>Happy typing!</p>`
+      }
+    }
+  },
+
+  'password-reset': {
+    required: ['link', 'minutes'],
+    locales: {
+      en: {
+        subject: 'Reset your Zebra Board password',
+        text: 'Someone asked to reset the password for your Zebra Board account.\n\nOpen this link to choose a new password (valid for {{minutes}} minutes):\n{{link}}\n\nIf you did not request this, you can ignore this email; your password will not change.',
+        html: `<p>Someone asked to reset the password for your <strong>Zebra Board</strong> account.</p>
+  ${button('{{link}}', 'Choose a new password')}
+  ${linkFallback('{{link}}', "This link is valid for {{minutes}} minutes. If the button doesn't work, copy this URL:")}
+  <p>If you did not request this, you can ignore this email; your password will not change.</p>`
+      },
+      es: {
+        subject: 'Restablece tu contraseña de Zebra Board',
+        text: 'Alguien pidió restablecer la contraseña de tu cuenta de Zebra Board.\n\nAbre este enlace para elegir una nueva contraseña (válido durante {{minutes}} minutos):\n{{link}}\n\nSi no lo solicitaste, ignora este correo; tu contraseña no cambiará.',
+        html: `<p>Alguien pidió restablecer la contraseña de tu cuenta de <strong>Zebra Board</strong>.</p>
+  ${button('{{link}}', 'Elegir nueva contraseña')}
+  ${linkFallback('{{link}}', 'El enlace es válido durante {{minutes}} minutos. Si el botón no funciona, copia esta URL:')}
+  <p>Si no lo solicitaste, ignora este correo; tu contraseña no cambiará.</p>`
+      }
+    }
+  },
+
+  'email-change': {
+    required: ['link', 'newEmail'],
+    locales: {
+      en: {
+        subject: 'Confirm your new email address',
+        text: 'You changed the email on your Zebra Board account to {{newEmail}}.\n\nConfirm the new address by opening this link:\n{{link}}\n\nIf you did not make this change, reset your password right away.',
+        html: `<p>You changed the email on your <strong>Zebra Board</strong> account to <strong>{{newEmail}}</strong>.</p>
+  ${button('{{link}}', 'Confirm new email')}
+  ${linkFallback('{{link}}', "If the button doesn't work, copy this URL:")}
+  <p>If you did not make this change, reset your password right away.</p>`
+      }
+    }
+  },
+
+  'weekly-summary': {
+    required: ['username', 'tests', 'bestWpm', 'avgWpm', 'avgAccuracy', 'minutesTyped'],
+    locales: {
+      en: {
+        subject: 'Your Zebra Board week: {{tests}} tests, best {{bestWpm}} wpm',
+        text: 'Hi {{username}}, here is your week:\n\n- Tests completed: {{tests}}\n- Best: {{bestWpm}} wpm\n- Average: {{avgWpm}} wpm at {{avgAccuracy}}% accuracy\n- Time typed: {{minutesTyped}} min\n\nKeep it up!',
+        html: `<p>Hi <strong>{{username}}</strong>, here is your week:</p>
+  <ul>
+    <li>Tests completed: <strong>{{tests}}</strong></li>
+    <li>Best: <strong>{{bestWpm}} wpm</strong></li>
+    <li>Average: <strong>{{avgWpm}} wpm</strong> at {{avgAccuracy}}% accuracy</li>
+    <li>Time typed: {{minutesTyped}} min</li>
+  </ul>
+  <p>Keep it up!</p>`
+      }
+    }
+  },
+
+  'personal-best': {
+    required: ['username', 'wpm', 'mode', 'durationSec'],
+    locales: {
+      en: {
+        subject: 'New personal best: {{wpm}} wpm!',
+        text: 'Nice one, {{username}}! You set a new personal best of {{wpm}} wpm in {{mode}} {{durationSec}}s (previous best: {{previousWpm}}).',
+        html: `<p>Nice one, <strong>{{username}}</strong>!</p>
+  <p>You set a new personal best of <strong>{{wpm}} wpm</strong> in {{mode}} {{durationSec}}s (previous best: {{previousWpm}}).</p>`
+      }
+    }
+  },
+
+  'account-deletion-scheduled': {
+    required: ['username', 'date', 'link'],
+    locales: {
+      en: {
+        subject: 'Your Zebra Board account will be deleted on {{date}}',
+        text: 'Hi {{username}},\n\nWe received a request to delete your Zebra Board account. It will be permanently deleted on {{date}}.\n\nChanged your mind? Sign in and cancel the deletion before then:\n{{link}}',
+        html: `<p>Hi <strong>{{username}}</strong>,</p>
+  <p>We received a request to delete your Zebra Board account. It will be permanently deleted on <strong>{{date}}</strong>.</p>
+  ${button('{{link}}', 'Keep my account')}
+  <p>If you did request this, no action is needed.</p>`
+      }
+    }
+  },
+
+  'suggestion-reply': {
+    required: ['name', 'reply', 'message'],
+    locales: {
+      en: {
+        subject: 'Re: your suggestion to Zebra Board',
+        text: 'Hi {{name}},\n\n{{reply}}\n\n> {{message}}',
+        html: `<p>Hi {{name}},</p>
+  <p style="white-space:pre-wrap;">{{reply}}</p>
+  <blockquote style="margin:16px 0;padding-left:12px;border-left:3px solid #ddd;color:#555;white-space:pre-wrap;">{{message}}</blockquote>`
+      }
+    }
+  }
+};
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(data, path) {
+  return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), data);
+}
+
+export function interpolate(str, data, { html = false } = {}) {
+  return str.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = lookup(data, path);
+    if (value === undefined || value === null) return '';
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+function wrapHtml(body, locale) {
+  const { footer } = LAYOUT[locale] || LAYOUT[DEFAULT_LOCALE];
+  return `<div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;font-size:15px;line-height:1.5;color:#111;max-width:560px;">
+  ${body}
+  <hr style="border:none;border-top:1px solid #ddd;margin:24px 0 12px;" />
+  <p style="color:#777;font-size:12px;">${footer}</p>
+</div>`;
+}
+
+function wrapText(body, locale) {
+  const { footer } = LAYOUT[locale] || LAYOUT[DEFAULT_LOCALE];
+  return `${body}\n\n--\n${footer}`;
+}
+
+export function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, t]) => ({ name, locales: Object.keys(t.locales), required: t.required }));
+}
+
+// Resolve e.g. 'es-MX' -> 'es' -> DEFAULT_LOCALE
+function resolveLocale(template, locale) {
+  const candidates = [locale, locale?.split('-')[0], DEFAULT_LOCALE].filter(Boolean).map(l => l.toLowerCase());
+  return candidates.find(l => template.locales[l]) || DEFAULT_LOCALE;
+}
+
+export function renderEmail(name, data = {}, locale = DEFAULT_LOCALE) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  const missing = (template.required || []).filter(k => lookup(data, k) === undefined);
+  if (missing.length) throw new Error(`Email template "${name}" missing data: ${missing.join(', ')}`);
+
+  const resolved = resolveLocale(template, locale);
+  const variant = template.locales[resolved];
+  return {
+    locale: resolved,
+    subject: interpolate(variant.subject, data),
+    text: wrapText(interpolate(variant.text, data), resolved),
+    html: wrapHtml(interpolate(variant.html, data, { html: true }), resolved)
+  };
+}
@@ -0,0 +1,43 @@
+import { prisma } from '../prismaClient.js';
+import { onDomainEvent, EVENTS } from './events.js';
+import { enqueueEmail } from './emailQueue.js';
+import { evaluateAchievements } from './achievements.js';
+import { RESULT_STATUS } from './antiCheat.js';
+
+/*
+ * eventHandlers.js
+ * ---------------------------------
+ * Built-in subscribers to domain events. Call registerEventHandlers() once at startup.
+ *
+ * Env Variables:
+ *  PERSONAL_BEST_EMAILS          'true' to email users when they set a new personal best (default off)
+ */
+
+let registered = false;
+
+export function registerEventHandlers() {
+  if (registered) return;
+  registered = true;
+
+  onDomainEvent(EVENTS.RESULT_CREATED, async ({ result }) => {
+    if (!result.userId || result.status !== RESULT_STATUS.ACCEPTED) return;
+    await evaluateAchievements(result.userId, { resultId: result.id });
+  });
+
+  onDomainEvent(EVENTS.PERSONAL_BEST, async ({ userId, result, previousBest }) => {
+    if (process.env.PERSONAL_BEST_EMAILS !== 'true') return;
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { username: true, email: true, emailVerifiedAt: true } });
+    if (!user?.email || !user.emailVerifiedAt) return;
+    await enqueueEmail({
+      template: 'personal-best',
+      to: user.email,
+      data: {
+        username: user.username,
+        wpm: result.wpm,
+        mode: result.mode || 'test',
+        durationSec: result.durationSec || '',
+        previousWpm: previousBest ? previousBest.wpm : 'none'
+      }
+    });
+  });
+}
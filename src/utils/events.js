@@ -0,0 +1,34 @@
+import { EventEmitter } from 'events';
+
+/*
+ * events.js (in-process domain events)
+ * ---------------------------------
+ * Lets features react to things that happened (result stored, personal best set, ...)
+ * without being wired into the route handlers:
+ *
+ *   onDomainEvent(EVENTS.PERSONAL_BEST, async ({ userId, result }) => { ... });
+ *
+ *  - Events are emitted after the database transaction commits
+ *  - Listeners run asynchronously; a failing listener is logged and never breaks the request
+ */
+
+export const EVENTS = {
+  RESULT_CREATED: 'result.created',
+  PERSONAL_BEST: 'result.personalBest',
+  ACHIEVEMENT_UNLOCKED: 'achievement.unlocked'
+};
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+export function onDomainEvent(name, listener) {
+  bus.on(name, payload => {
+    Promise.resolve()
+      .then(() => listener(payload))
+      .catch(err => console.warn(`[Events] Listener for ${name} failed:`, err?.message || err));
+  });
+}
+
+export function emitDomainEvent(name, payload) {
+  setImmediate(() => bus.emit(name, payload));
+}
@@ -0,0 +1,165 @@
+import { prisma } from '../prismaClient.js';
+import { RESULT_STATUS } from './antiCheat.js';
+
+/*
+ * keystrokes.js (replay logs + per-key analytics)
+ * ---------------------------------
+ * A submission may carry `keystrokes: [{ key, delta, correct }]` (delta = ms since the
+ * previous keystroke). Full logs are packed into "KeystrokeLog".data as varints:
+ *
+ *   [version=1] then per keystroke: varint(delta * 2 + correct), varint(keyCode)
+ *
+ * keyCode indexes NAMED_KEYS for special keys, otherwise it is the character's code point
+ * offset by NAMED_KEYS.length -- about 3 bytes per keystroke.
+ * Logs that are partial (e.g. deltas only) or above the size cap are not stored; the result is.
+ * Logs older than the retention window are pruned periodically.
+ *
+ * Env Variables:
+ *  KEYSTROKE_LOG_MAX_ENTRIES      keystrokes stored per result (default 5000; larger logs are skipped)
+ *  KEYSTROKE_LOG_RETENTION_DAYS   delete logs older than this (default 90)
+ */
+
+const FORMAT_VERSION = 1;
+const NAMED_KEYS = ['Unidentified', 'Backspace', 'Enter', 'Tab', 'Escape', 'Delete', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'];
+const MAX_DELTA_MS = 600000;
+// Pauses longer than this are thinking time, not key latency
+const LATENCY_OUTLIER_MS = 2000;
+const MIN_BIGRAM_SAMPLES = 3;
+const MAX_BIGRAMS = 100;
+
+function toInt(val, def) {
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : def;
+}
+
+export function maxLogEntries() {
+  return toInt(process.env.KEYSTROKE_LOG_MAX_ENTRIES, 5000);
+}
+
+function keyCode(key) {
+  const named = NAMED_KEYS.indexOf(key);
+  if (named !== -1) return named;
+  const chars = [...key];
+  return chars.length === 1 ? chars[0].codePointAt(0) + NAMED_KEYS.length : 0;
+}
+
+function keyName(code) {
+  return code < NAMED_KEYS.length ? NAMED_KEYS[code] : String.fromCodePoint(code - NAMED_KEYS.length);
+}
+
+function writeVarint(out, n) {
+  while (n > 0x7f) {
+    out.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  out.push(n);
+}
+
+function readVarint(buf, state) {
+  let n = 0;
+  let mul = 1;
+  for (;;) {
+    const byte = buf[state.offset++];
+    if (byte === undefined) throw new Error('Truncated keystroke log');
+    n += (byte & 0x7f) * mul;
+    if (byte < 0x80) return n;
+    mul *= 128;
+  }
+}
+
+// Returns { data, entries } ready for "KeystrokeLog", or null when the log can't be stored
+export function encodeKeystrokeLog(keystrokes) {
+  if (!Array.isArray(keystrokes) || !keystrokes.length || keystrokes.length > maxLogEntries()) return null;
+  const out = [FORMAT_VERSION];
+  for (const k of keystrokes) {
+    if (!k || typeof k.key !== 'string' || !k.key || k.key.length > 32 || typeof k.correct !== 'boolean') return null;
+    const delta = Number(k.delta);
+    if (!Number.isFinite(delta) || delta < 0) return null;
+    writeVarint(out, Math.min(Math.round(delta), MAX_DELTA_MS) * 2 + (k.correct ? 1 : 0));
+    writeVarint(out, keyCode(k.key));
+  }
+  return { data: Buffer.from(out), entries: keystrokes.length };
+}
+
+// [{ key, delta, correct, t }] where t is ms since the first keystroke
+export function decodeKeystrokeLog(data) {
+  const buf = Buffer.from(data);
+  if (buf[0] !== FORMAT_VERSION) throw new Error(`Unsupported keystroke log version ${buf[0]}`);
+  const state = { offset: 1 };
+  const keystrokes = [];
+  let t = 0;
+  while (state.offset < buf.length) {
+    const packed = readVarint(buf, state);
+    const delta = Math.floor(packed / 2);
+    t += keystrokes.length ? delta : 0;
+    keystrokes.push({ key: keyName(readVarint(buf, state)), delta, correct: packed % 2 === 1, t });
+  }
+  return keystrokes;
+}
+
+function bump(map, name, k) {
+  let s = map.get(name);
+  if (!s) map.set(name, (s = { presses: 0, errors: 0, latencySum: 0, latencyCount: 0 }));
+  s.presses++;
+  if (!k.correct) s.errors++;
+  else if (k.delta > 0 && k.delta <= LATENCY_OUTLIER_MS) {
+    s.latencySum += k.delta;
+    s.latencyCount++;
+  }
+}
+
+function summarize([name, s]) {
+  return {
+    name,
+    presses: s.presses,
+    errors: s.errors,
+    errorRate: Math.round((s.errors / s.presses) * 1000) / 10,
+    avgLatencyMs: s.latencyCount ? Math.round(s.latencySum / s.latencyCount) : null
+  };
+}
+
+// Error rate and latency per key and per bigram (latency of the second key) over recent tests
+export async function getKeystrokeStats(userId, { tests = 50 } = {}) {
+  const logs = await prisma.keystrokeLog.findMany({
+    where: { result: { userId, status: RESULT_STATUS.ACCEPTED } },
+    orderBy: { createdAt: 'desc' },
+    take: tests,
+    select: { data: true }
+  });
+
+  const keys = new Map();
+  const bigrams = new Map();
+  let keystrokes = 0;
+  for (const log of logs) {
+    let prev = null;
+    for (const k of decodeKeystrokeLog(log.data)) {
+      keystrokes++;
+      bump(keys, k.key, k);
+      const printable = [...k.key].length === 1;
+      if (prev && printable) bump(bigrams, prev + k.key, k);
+      // Corrections break the sequence; only consecutive characters form a bigram
+      prev = printable && k.correct ? k.key : null;
+    }
+  }
+
+  return {
+    userId,
+    tests: logs.length,
+    keystrokes,
+    keys: [...keys].map(summarize).map(({ name, ...s }) => ({ key: name, ...s })).sort((a, b) => b.presses - a.presses),
+    bigrams: [...bigrams]
+      .filter(([, s]) => s.presses >= MIN_BIGRAM_SAMPLES)
+      .map(summarize)
+      .map(({ name, ...s }) => ({ bigram: name, ...s }))
+      .sort((a, b) => (b.avgLatencyMs ?? 0) - (a.avgLatencyMs ?? 0))
+      .slice(0, MAX_BIGRAMS)
+  };
+}
+
+export async function pruneKeystrokeLogs() {
+  const days = toInt(process.env.KEYSTROKE_LOG_RETENTION_DAYS, 90);
+  const { count } = await prisma.keystrokeLog.deleteMany({
+    where: { createdAt: { lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } }
+  });
+  return count;
+}
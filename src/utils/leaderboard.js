@@ -0,0 +1,123 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prismaClient.js';
+import { RESULT_STATUS } from './antiCheat.js';
+import { ANONYMOUS_SQL, anonymizeEntry } from './profiles.js';
+import { followingCondition } from './social.js';
+import { teamResultScopeSql } from './teams.js';
+
+/*
+ * leaderboard.js
+ * ---------------------------------
+ * Ranks users by their single best TestResult inside a time window.
+ *  - One row per user (DISTINCT ON "userId"), the best attempt wins
+ *  - Order / tie-break: wpm DESC, accuracy DESC, earliest createdAt
+ *  - Windows are UTC calendar periods (day, ISO week starting Monday, month)
+ *  - Only 'accepted' results count; flagged (anti-cheat) results are ignored
+ *  - Ranking runs entirely in Postgres so the API never loads raw rows
+ *  - Users who opted out (see profiles.js) are ranked without name or result link
+ *  - scope 'following' narrows the board to the caller and the users they follow (social.js)
+ *  - `teamId` narrows it to what one team may see of its members' results (teamResultScope in teams.js)
+ */
+
+export const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'monthly', 'all'];
+
+export function windowStart(window, now = new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  switch (window) {
+    case 'daily':
+      return d;
+    case 'weekly': {
+      const dow = (d.getUTCDay() + 6) % 7; // Monday = 0
+      d.setUTCDate(d.getUTCDate() - dow);
+      return d;
+    }
+    case 'monthly':
+      d.setUTCDate(1);
+      return d;
+    default:
+      return null;
+  }
+}
+
+function buildFilters({ mode, durationSec, since, followedBy, teamId }) {
+  const conditions = [Prisma.sql`t."userId" IS NOT NULL`, Prisma.sql`t."status" = ${RESULT_STATUS.ACCEPTED}`];
+  if (mode) conditions.push(Prisma.sql`t."mode" = ${mode}`);
+  if (durationSec != null) conditions.push(Prisma.sql`t."durationSec" = ${durationSec}`);
+  if (since) conditions.push(Prisma.sql`t."createdAt" >= ${since}`);
+  if (followedBy) conditions.push(followingCondition(Prisma.sql`t."userId"`, followedBy));
+  if (teamId) conditions.push(teamResultScopeSql(teamId));
+  return Prisma.join(conditions, ' AND ');
+}
+
+// CTE producing every ranked user for the given board; callers select from "ranked".
+function rankedCte(filters) {
+  return Prisma.sql`
+    WITH best AS (
+      SELECT DISTINCT ON (t."userId")
+        t."id", t."userId", t."wpm", t."accuracy", t."rawWpm", t."mode", t."durationSec", t."createdAt"
+      FROM "TestResult" t
+      WHERE ${buildFilters(filters)}
+      ORDER BY t."userId", t."wpm" DESC, t."accuracy" DESC, t."createdAt" ASC
+    ),
+    ranked AS (
+      SELECT best.*, ROW_NUMBER() OVER (ORDER BY best."wpm" DESC, best."accuracy" DESC, best."createdAt" ASC, best."userId") AS "rank"
+      FROM best
+    )`;
+}
+
+function toEntry(row, viewerId) {
+  return anonymizeEntry({
+    rank: Number(row.rank),
+    userId: row.userId,
+    username: row.username,
+    resultId: row.id,
+    wpm: row.wpm,
+    accuracy: row.accuracy,
+    rawWpm: row.rawWpm,
+    mode: row.mode,
+    durationSec: row.durationSec,
+    createdAt: row.createdAt
+  }, row.anonymous, viewerId);
+}
+
+// Fetch one page of a board plus the caller's own entry (`me`), even when it's off-page.
+export async function getLeaderboard({ mode, durationSec, window = 'all', scope = 'global', teamId, take = 25, skip = 0, userId } = {}) {
+  const since = windowStart(window);
+  const cte = rankedCte({ mode, durationSec, since, teamId, followedBy: scope === 'following' ? userId : undefined });
+
+  const [rows, countRows, meRows] = await Promise.all([
+    prisma.$queryRaw`${cte}
+      SELECT r.*, u."username", ${ANONYMOUS_SQL} AS "anonymous" FROM ranked r JOIN "User" u ON u."id" = r."userId"
+      ORDER BY r."rank" ASC LIMIT ${take} OFFSET ${skip}`,
+    prisma.$queryRaw`${cte} SELECT COUNT(*)::int AS "total" FROM ranked`,
+    userId
+      ? prisma.$queryRaw`${cte}
+        SELECT r.*, u."username", ${ANONYMOUS_SQL} AS "anonymous" FROM ranked r JOIN "User" u ON u."id" = r."userId"
+        WHERE r."userId" = ${userId}`
+      : Promise.resolve([])
+  ]);
+
+  return {
+    window,
+    scope,
+    mode: mode || null,
+    durationSec: durationSec ?? null,
+    since,
+    total: countRows[0]?.total || 0,
+    take,
+    skip,
+    items: rows.map(row => toEntry(row, userId)),
+    me: meRows[0] ? toEntry(meRows[0], userId) : null
+  };
+}
+
+// Distinct mode/duration boards that currently have ranked results.
+export async function listLeaderboardCategories() {
+  const groups = await prisma.testResult.groupBy({
+    by: ['mode', 'durationSec'],
+    where: { userId: { not: null }, status: RESULT_STATUS.ACCEPTED },
+    _count: { _all: true },
+    orderBy: [{ mode: 'asc' }, { durationSec: 'asc' }]
+  });
+  return groups.map(g => ({ mode: g.mode, durationSec: g.durationSec, results: g._count._all }));
+}
@@ -0,0 +1,158 @@
+import { badRequest } from '../middleware/errors.js';
+
+/*
+ * listQuery.js (cursor pagination)
+ * ---------------------------------
+ * Shared query layer for list endpoints:
+ *
+ *   const spec = { sortFields: ['createdAt', 'wpm'], defaultSort: 'createdAt', filters: { mode: filters.string('mode') } };
+ *   const query = parseListQuery(req.query, spec);
+ *   res.json(await paginate(prisma.testResult, { ...query, where: { AND: [baseWhere, query.where] } }));
+ *
+ *  - Keyset pagination: rows are ordered by (sort field, id) and the next page starts after
+ *    the last row, so pages stay stable while rows are inserted
+ *  - `cursor` is opaque (base64url JSON of the last row's sort value and id) and only valid for
+ *    the sort and order it was issued for
+ *  - Sort fields must be non-null columns; unknown sort fields and filters are rejected
+ *  - Response envelope: { items, nextCursor } (nextCursor null on the last page)
+ */
+
+export const LIST_LIMITS = { takeDefault: 25, takeMax: 100 };
+
+const ORDERS = ['asc', 'desc'];
+
+export function encodeCursor(sort, order, row) {
+  const value = row[sort];
+  const payload = { s: sort, o: order, id: row.id, v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date || undefined };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+export function decodeCursor(raw, sort, order) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+  if (!payload || typeof payload.id !== 'string' || payload.v === undefined) throw badRequest('Invalid cursor');
+  if (payload.s !== sort || payload.o !== order) throw badRequest('cursor was issued for a different sort; start again without it');
+  const value = payload.d ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) throw badRequest('Invalid cursor');
+  return { id: payload.id, value };
+}
+
+// Query-string filter parsers: each returns a Prisma where fragment, or null when the param is absent
+function present(raw) {
+  return raw !== undefined && raw !== '';
+}
+
+function parseNumber(raw, param, { integer = false } = {}) {
+  const n = Number(raw);
+  if (!Number.isFinite(n) || (integer && !Number.isInteger(n))) throw badRequest(`${param} must be ${integer ? 'an integer' : 'a number'}`);
+  return n;
+}
+
+function parseDate(raw, param) {
+  const d = new Date(String(raw));
+  if (Number.isNaN(d.getTime())) throw badRequest(`${param} must be a date`);
+  return d;
+}
+
+function parseBoolean(raw, param) {
+  if (raw === 'true' || raw === '1') return true;
+  if (raw === 'false' || raw === '0') return false;
+  throw badRequest(`${param} must be true or false`);
+}
+
+// Range filters read `${min}`/`${max}` params (gte / lte); date ranges use `from`/`to` (gte / lt)
+function range(field, minParam, maxParam, parse) {
+  return {
+    params: [minParam, maxParam],
+    build(query) {
+      const cond = {};
+      if (present(query[minParam])) cond.gte = parse(query[minParam], minParam);
+      if (present(query[maxParam])) cond.lte = parse(query[maxParam], maxParam);
+      if (cond.gte !== undefined && cond.lte !== undefined && cond.gte > cond.lte) throw badRequest(`${minParam} must not exceed ${maxParam}`);
+      return Object.keys(cond).length ? { [field]: cond } : null;
+    }
+  };
+}
+
+export const filters = {
+  string: (field, param = field) => ({
+    params: [param],
+    build: query => (present(query[param]) ? { [field]: String(query[param]) } : null)
+  }),
+  integer: (field, param = field) => ({
+    params: [param],
+    build: query => (present(query[param]) ? { [field]: parseNumber(query[param], param, { integer: true }) } : null)
+  }),
+  numberRange: (field, minParam, maxParam) => range(field, minParam, maxParam, parseNumber),
+  dateRange: (field, fromParam = 'from', toParam = 'to') => {
+    const inner = range(field, fromParam, toParam, parseDate);
+    return {
+      params: inner.params,
+      build(query) {
+        const where = inner.build(query);
+        // `to` is exclusive so consecutive ranges don't overlap
+        if (where?.[field].lte) {
+          where[field].lt = where[field].lte;
+          delete where[field].lte;
+        }
+        return where;
+      }
+    };
+  },
+  // ?param=true|false mapped to two where fragments
+  boolean: (param, whenTrue, whenFalse) => ({
+    params: [param],
+    build: query => (present(query[param]) ? (parseBoolean(query[param], param) ? whenTrue : whenFalse) : null)
+  })
+};
+
+const PAGING_PARAMS = ['take', 'cursor', 'sort', 'order'];
+
+// -> { take, sort, order, cursor, where } for `paginate`
+export function parseListQuery(query = {}, { sortFields, defaultSort, defaultOrder = 'desc', filters: specFilters = {}, extraParams = [] }) {
+  const known = new Set([...PAGING_PARAMS, ...extraParams, ...Object.values(specFilters).flatMap(f => f.params)]);
+  const unknown = Object.keys(query).filter(k => !known.has(k));
+  if (unknown.length) throw badRequest(`Unknown query parameter${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+
+  const sort = present(query.sort) ? String(query.sort) : defaultSort;
+  if (!sortFields.includes(sort)) throw badRequest(`sort must be one of ${sortFields.join(', ')}`);
+  const order = present(query.order) ? String(query.order).toLowerCase() : defaultOrder;
+  if (!ORDERS.includes(order)) throw badRequest('order must be asc or desc');
+
+  let take = LIST_LIMITS.takeDefault;
+  if (present(query.take)) {
+    take = parseNumber(query.take, 'take', { integer: true });
+    if (take < 1 || take > LIST_LIMITS.takeMax) throw badRequest(`take must be between 1 and ${LIST_LIMITS.takeMax}`);
+  }
+
+  const conditions = Object.values(specFilters).map(f => f.build(query)).filter(Boolean);
+  return {
+    take,
+    sort,
+    order,
+    cursor: present(query.cursor) ? decodeCursor(query.cursor, sort, order) : null,
+    where: conditions.length ? { AND: conditions } : {}
+  };
+}
+
+// One page of `model` rows (any findMany args besides where/orderBy/take pass through)
+export async function paginate(model, { where = {}, take, sort, order, cursor, ...args }) {
+  const filter = [where];
+  if (cursor) {
+    const after = order === 'desc' ? 'lt' : 'gt';
+    filter.push({ OR: [{ [sort]: { [after]: cursor.value } }, { [sort]: cursor.value, id: { [after]: cursor.id } }] });
+  }
+  const rows = await model.findMany({
+    ...args,
+    where: { AND: filter },
+    orderBy: [{ [sort]: order }, { id: order }],
+    take: take + 1
+  });
+  const more = rows.length > take;
+  const items = more ? rows.slice(0, take) : rows;
+  return { items, nextCursor: more ? encodeCursor(sort, order, items[items.length - 1]) : null };
+}
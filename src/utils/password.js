@@ -1,7 +1,11 @@
 import bcrypt from 'bcryptjs';
+import { field } from '../middleware/validate.js';
 
 const SALT_ROUNDS = 10;
 
+// Body rule for every route that sets a password
+export const PASSWORD_FIELD = field.string({ required: true, min: 6, max: 128, trim: false });
+
 export async function hashPassword(plain) {
   if (!plain || plain.length < 6) throw new Error('Password must be at least 6 characters');
   return bcrypt.hash(plain, SALT_ROUNDS);
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { prisma } from '../prismaClient.js';
+import { RESULT_STATUS } from './antiCheat.js';
+
+/*
+ * personalBests.js
+ * ---------------------------------
+ * Keeps "PersonalBest" (one row per user + mode + duration) in sync with TestResult and
+ * appends to "PersonalBestHistory" whenever a best improves.
+ *  - Ordering matches the leaderboards: wpm, then accuracy
+ *  - Results without a mode/duration are bucketed under mode '' / durationSec 0
+ *  - The improvement check is a single conditional upsert, so concurrent submissions can't
+ *    both "win"
+ */
+
+export function pbKey(result) {
+  return { mode: result.mode || '', durationSec: result.durationSec || 0 };
+}
+
+// Called for a freshly stored result (inside its transaction). Returns { isPersonalBest, previousBest }.
+export async function recordPersonalBest(result, client = prisma) {
+  if (!result.userId || result.status !== RESULT_STATUS.ACCEPTED) return { isPersonalBest: false, previousBest: null };
+  const { mode, durationSec } = pbKey(result);
+  const previous = await client.personalBest.findUnique({
+    where: { userId_mode_durationSec: { userId: result.userId, mode, durationSec } }
+  });
+
+  const rows = await client.$queryRaw`
+    INSERT INTO "PersonalBest" ("id", "userId", "mode", "durationSec", "wpm", "accuracy", "resultId", "achievedAt", "updatedAt")
+    VALUES (${crypto.randomUUID()}, ${result.userId}, ${mode}, ${durationSec}, ${result.wpm}, ${result.accuracy}, ${result.id}, ${result.createdAt}, NOW())
+    ON CONFLICT ("userId", "mode", "durationSec") DO UPDATE
+      SET "wpm" = EXCLUDED."wpm", "accuracy" = EXCLUDED."accuracy", "resultId" = EXCLUDED."resultId",
+          "achievedAt" = EXCLUDED."achievedAt", "updatedAt" = NOW()
+      WHERE "PersonalBest"."wpm" < EXCLUDED."wpm"
+         OR ("PersonalBest"."wpm" = EXCLUDED."wpm" AND "PersonalBest"."accuracy" < EXCLUDED."accuracy")
+    RETURNING "id"`;
+
+  const previousBest = previous ? { wpm: previous.wpm, accuracy: previous.accuracy, resultId: previous.resultId, achievedAt: previous.achievedAt } : null;
+  if (!rows.length) return { isPersonalBest: false, previousBest };
+
+  await client.personalBestHistory.create({
+    data: {
+      userId: result.userId,
+      mode,
+      durationSec,
+      wpm: result.wpm,
+      accuracy: result.accuracy,
+      previousWpm: previous?.wpm ?? null,
+      resultId: result.id
+    }
+  });
+  return { isPersonalBest: true, previousBest };
+}
+
+// Recompute every best of a user from accepted results (after edits, deletes, moderation or claims).
+// History is left untouched: it records what was a best at the time.
+export async function rebuildPersonalBests(userId, client = prisma) {
+  if (!userId) return;
+  await client.personalBest.deleteMany({ where: { userId } });
+  await client.$executeRaw`
+    INSERT INTO "PersonalBest" ("id", "userId", "mode", "durationSec", "wpm", "accuracy", "resultId", "achievedAt", "updatedAt")
+    SELECT DISTINCT ON (COALESCE("mode", ''), COALESCE("durationSec", 0))
+      gen_random_uuid()::text, "userId", COALESCE("mode", ''), COALESCE("durationSec", 0), "wpm", "accuracy", "id", "createdAt", NOW()
+    FROM "TestResult"
+    WHERE "userId" = ${userId} AND "status" = ${RESULT_STATUS.ACCEPTED}
+    ORDER BY COALESCE("mode", ''), COALESCE("durationSec", 0), "wpm" DESC, "accuracy" DESC, "createdAt" ASC`;
+}
+
+export async function listPersonalBests(userId) {
+  return prisma.personalBest.findMany({ where: { userId }, orderBy: [{ mode: 'asc' }, { durationSec: 'asc' }] });
+}
+
+export async function listPersonalBestHistory(userId, { mode, durationSec, take = 50 } = {}) {
+  const where = { userId };
+  if (mode !== undefined) where.mode = mode;
+  if (durationSec !== undefined) where.durationSec = durationSec;
+  return prisma.personalBestHistory.findMany({ where, orderBy: { createdAt: 'desc' }, take });
+}
@@ -0,0 +1,161 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prismaClient.js';
+import { AppError, badRequest, conflict } from '../middleware/errors.js';
+import { field } from '../middleware/validate.js';
+import { RESULT_STATUS } from './antiCheat.js';
+import { listPersonalBests } from './personalBests.js';
+import { followCounts, relationship } from './social.js';
+import { can, isAdmin } from '../auth/policies.js';
+
+/*
+ * profiles.js
+ * ---------------------------------
+ * Public profiles (GET /profiles/:username), profile editing and username changes.
+ *  - Privacy: hideResults keeps results, personal bests and stats to the owner (and admins);
+ *    leaderboardAnonymous keeps the rank but drops name and links on boards. Hidden
+ *    results imply anonymous boards.
+ *  - Old usernames become UsernameAlias rows: links to them redirect to the current name and
+ *    no other account can take them. The owner can switch back to one.
+ *
+ * Env Variables:
+ *  USERNAME_CHANGE_COOLDOWN_DAYS  minimum days between username changes (default 30)
+ */
+
+export const PROFILE_LIMITS = {
+  displayNameMax: 50,
+  bioMax: 300,
+  avatarUrlMax: 500,
+  recentResults: 10
+};
+
+export const KEYBOARD_LAYOUTS = ['qwerty', 'qwertz', 'azerty', 'dvorak', 'colemak', 'colemak-dh', 'workman', 'other'];
+
+export const USERNAME_RE = /^[a-zA-Z0-9_]{3,30}$/;
+const COUNTRY_RE = /^[A-Z]{2}$/;
+
+// SQL flag for raw leaderboard queries joined to "User" u
+export const ANONYMOUS_SQL = Prisma.sql`(u."leaderboardAnonymous" OR u."hideResults")`;
+
+// Board entries of users who opted out keep their rank but not who they are (except for themselves)
+export function anonymizeEntry(entry, anonymous, viewerId) {
+  if (!anonymous || (viewerId && entry.userId === viewerId)) return entry;
+  const masked = { ...entry, userId: null, username: null, anonymous: true };
+  if ('resultId' in entry) masked.resultId = null;
+  return masked;
+}
+
+// Whether `actor` may see the results of `user`
+export function resultsVisible(user, actor) {
+  return !user.hideResults || can(actor, 'user:read:private', user);
+}
+
+// Prisma where-fragment excluding results of users who hide them (guest results stay visible)
+export function visibleResultsWhere(actor) {
+  if (isAdmin(actor)) return {};
+  const visible = [{ userId: null }, { user: { hideResults: false } }];
+  if (actor) visible.push({ userId: actor.id });
+  return { OR: visible };
+}
+
+function httpsUrlError(value) {
+  let url;
+  try { url = new URL(value); } catch { return 'must be a URL'; }
+  return url.protocol === 'https:' ? undefined : 'must use https';
+}
+
+// Body schema for PATCH /profiles/me (validate.js); null/'' clears a text field
+export const PROFILE_SCHEMA = {
+  displayName: field.string({ nullable: true, max: PROFILE_LIMITS.displayNameMax }),
+  bio: field.string({ nullable: true, max: PROFILE_LIMITS.bioMax }),
+  avatarUrl: field.string({ nullable: true, max: PROFILE_LIMITS.avatarUrlMax, check: httpsUrlError }),
+  country: field.string({ nullable: true, normalize: v => v.toUpperCase(), pattern: COUNTRY_RE, patternMessage: 'must be an ISO 3166-1 alpha-2 code' }),
+  keyboardLayout: field.oneOf(KEYBOARD_LAYOUTS, { nullable: true, normalize: v => v.toLowerCase() }),
+  hideResults: field.boolean(),
+  leaderboardAnonymous: field.boolean()
+};
+
+export const USERNAME_SCHEMA = {
+  username: field.string({ required: true, pattern: USERNAME_RE, patternMessage: 'must be 3-30 letters, digits or underscores' })
+};
+
+// Current usernames and other accounts' former ones are both taken (case-insensitively)
+export async function usernameTaken(username, { exceptUserId, client = prisma } = {}) {
+  const match = { equals: username, mode: 'insensitive' };
+  const [user, alias] = await Promise.all([
+    client.user.findFirst({ where: { username: match }, select: { id: true } }),
+    client.usernameAlias.findFirst({ where: { username: match }, select: { userId: true } })
+  ]);
+  return (!!user && user.id !== exceptUserId) || (!!alias && alias.userId !== exceptUserId);
+}
+
+export async function changeUsername(user, username) {
+  if (typeof username !== 'string' || !USERNAME_RE.test(username)) {
+    throw badRequest('username must be 3-30 letters, digits or underscores');
+  }
+  if (username === user.username) throw badRequest('That is already your username');
+  const cooldownDays = Number(process.env.USERNAME_CHANGE_COOLDOWN_DAYS || 30);
+  if (user.usernameChangedAt) {
+    const nextAt = new Date(user.usernameChangedAt.getTime() + cooldownDays * 24 * 60 * 60 * 1000);
+    if (nextAt > new Date()) throw new AppError(`Username can be changed again after ${nextAt.toISOString()}`, 429, 'USERNAME_COOLDOWN');
+  }
+  return prisma.$transaction(async tx => {
+    if (await usernameTaken(username, { exceptUserId: user.id, client: tx })) throw conflict('Username is taken');
+    // Switching back to a former name frees that alias; the name being left becomes one
+    await tx.usernameAlias.deleteMany({ where: { userId: user.id, username: { equals: username, mode: 'insensitive' } } });
+    await tx.usernameAlias.upsert({
+      where: { username: user.username },
+      create: { username: user.username, userId: user.id },
+      update: {}
+    });
+    return tx.user.update({ where: { id: user.id }, data: { username, usernameChangedAt: new Date() } });
+  });
+}
+
+// -> { user } for a current username, { redirectTo } for a former one, or null. Case-insensitive like
+// usernameTaken; an exact match wins for accounts that predate that rule and differ only in case.
+export async function findProfileUser(username) {
+  const match = { equals: username, mode: 'insensitive' };
+  const user = await prisma.user.findUnique({ where: { username } })
+    || await prisma.user.findFirst({ where: { username: match }, orderBy: { createdAt: 'asc' } });
+  if (user) return { user };
+  const alias = await prisma.usernameAlias.findFirst({ where: { username: match }, include: { user: { select: { username: true } } } });
+  return alias ? { redirectTo: alias.user.username } : null;
+}
+
+export function profileSettings(user) {
+  return { hideResults: user.hideResults, leaderboardAnonymous: user.leaderboardAnonymous, usernameChangedAt: user.usernameChangedAt };
+}
+
+export async function buildPublicProfile(user, actor) {
+  const profile = {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    bio: user.bio,
+    avatarUrl: user.avatarUrl,
+    country: user.country,
+    keyboardLayout: user.keyboardLayout,
+    joinedAt: user.createdAt,
+    resultsHidden: user.hideResults,
+    ...(await followCounts(user.id)),
+    // { following, followedBy, blocked } for a signed-in viewer looking at someone else
+    viewer: await relationship(actor?.id, user.id),
+    personalBests: null,
+    recentResults: null
+  };
+  if (!resultsVisible(user, actor)) return profile;
+  const [personalBests, recentResults] = await Promise.all([
+    listPersonalBests(user.id),
+    prisma.testResult.findMany({
+      where: { userId: user.id, status: RESULT_STATUS.ACCEPTED },
+      orderBy: { createdAt: 'desc' },
+      take: PROFILE_LIMITS.recentResults,
+      select: { id: true, mode: true, durationSec: true, wpm: true, rawWpm: true, accuracy: true, createdAt: true }
+    })
+  ]);
+  return {
+    ...profile,
+    personalBests: personalBests.map(({ mode, durationSec, wpm, accuracy, resultId, achievedAt }) => ({ mode, durationSec, wpm, accuracy, resultId, achievedAt })),
+    recentResults
+  };
+}
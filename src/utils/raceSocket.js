@@ -0,0 +1,96 @@
+import { WebSocketServer } from 'ws';
+import { verifyAccessToken } from '../auth/jwt.js';
+import { createRaceManager } from './races.js';
+
+/*
+ * raceSocket.js
+ * ---------------------------------
+ * WebSocket transport for race rooms (races.js), attached to the HTTP server:
+ *
+ *   ws://host/races?token=<access token>
+ *
+ * Messages are JSON both ways ({ type, ... }). The access token is checked once at the
+ * upgrade; a user has one live socket (a newer connection replaces the old one, which is
+ * how reconnects resume a race). Dead sockets are detected with ping/pong.
+ *
+ * Env Variables:
+ *  RACE_WS_PATH          upgrade path (default /races)
+ *  RACE_WS_HEARTBEAT_MS  ping interval (default 30000)
+ */
+
+const MAX_PAYLOAD_BYTES = 512 * 1024; // finish messages may carry a keystroke log
+
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Returns { wss, manager, close }. Pass `managerOptions` (e.g. a fake `submit`) in tests.
+export function attachRaceServer(server, { path = process.env.RACE_WS_PATH || '/races', managerOptions = {} } = {}) {
+  const sockets = new Map(); // userId -> ws
+  const send = (userId, message) => {
+    const ws = sockets.get(userId);
+    if (ws && ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+  const manager = createRaceManager({ send, ...managerOptions });
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) return rejectUpgrade(socket, 404, 'Not Found');
+    let user;
+    try {
+      const payload = await verifyAccessToken(url.searchParams.get('token') || '');
+      user = { id: payload.id, username: payload.username };
+    } catch {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req, user));
+  });
+
+  wss.on('connection', (ws, req, user) => {
+    const previous = sockets.get(user.id);
+    sockets.set(user.id, ws);
+    if (previous) previous.close(4000, 'Replaced by a newer connection');
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', async data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return send(user.id, { type: 'error', error: 'Invalid JSON', code: 'BAD_MESSAGE' });
+      }
+      await manager.handle(user, message);
+    });
+    ws.on('close', () => {
+      // A replaced socket closing must not mark the user offline
+      if (sockets.get(user.id) !== ws) return;
+      sockets.delete(user.id);
+      manager.disconnect(user.id);
+    });
+
+    send(user.id, { type: 'hello', user });
+    manager.connect(user);
+  });
+
+  const heartbeatMs = parseInt(process.env.RACE_WS_HEARTBEAT_MS || '30000', 10);
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) { ws.terminate(); continue; }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  function close() {
+    clearInterval(heartbeat);
+    manager.shutdown();
+    for (const ws of wss.clients) ws.terminate();
+    wss.close();
+  }
+
+  return { wss, manager, close };
+}
@@ -0,0 +1,372 @@
+import { randomInt } from 'node:crypto';
+import { prisma } from '../prismaClient.js';
+import { AppError } from '../middleware/errors.js';
+import { checkSchema, field } from '../middleware/validate.js';
+import { randomSeed, seedToInt } from './seededRandom.js';
+import { submitResult, RESULT_METRIC_FIELDS } from './results.js';
+
+/*
+ * races.js (multiplayer race rooms)
+ * ---------------------------------
+ * Transport-agnostic room state machine: lobby -> countdown -> running -> finished.
+ * The WebSocket layer (raceSocket.js) feeds it messages and delivers what it sends,
+ * so the whole flow can be driven from plain code with a fake `send`.
+ *
+ *  - Rooms are joined by a short code; the creator is host and starts the countdown
+ *  - Players report `progress` (characters typed); WPM is computed server-side and broadcast
+ *  - `finish` fixes the finishing order; the race ends when every remaining player has
+ *    finished or RACE_MAX_DURATION_SEC passes, then each finisher's result is written
+ *    through submitResult (mode 'race')
+ *  - A disconnected player keeps their slot for RACE_RECONNECT_GRACE_MS; connecting again
+ *    resumes the race, otherwise they leave the lobby or are marked DNF mid-race
+ *
+ * Env Variables:
+ *  RACE_COUNTDOWN_MS          countdown before the start (default 5000)
+ *  RACE_MAX_DURATION_SEC      race time limit (default 300)
+ *  RACE_RECONNECT_GRACE_MS    how long a dropped player's slot is kept (default 30000)
+ *  RACE_MAX_PLAYERS           players per room (default 10)
+ *  RACE_PROGRESS_INTERVAL_MS  min gap between broadcast progress updates per player (default 200)
+ */
+
+export const RACE_MODE = 'race';
+export const RACE_STATE = { LOBBY: 'lobby', COUNTDOWN: 'countdown', RUNNING: 'running', FINISHED: 'finished' };
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+const CODE_LENGTH = 6;
+
+function toInt(val, def) {
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : def;
+}
+
+function raceConfig() {
+  return {
+    countdownMs: toInt(process.env.RACE_COUNTDOWN_MS, 5000),
+    maxDurationSec: toInt(process.env.RACE_MAX_DURATION_SEC, 300),
+    reconnectGraceMs: toInt(process.env.RACE_RECONNECT_GRACE_MS, 30000),
+    maxPlayers: toInt(process.env.RACE_MAX_PLAYERS, 10),
+    progressIntervalMs: toInt(process.env.RACE_PROGRESS_INTERVAL_MS, 200)
+  };
+}
+
+// Client mistakes; reported back over the socket as { type: 'error', error, code }
+// What a `finish` message may carry; mode, duration, text and seed come from the room
+const FINISH_SCHEMA = {
+  wpm: { ...RESULT_METRIC_FIELDS.wpm, required: true },
+  accuracy: { ...RESULT_METRIC_FIELDS.accuracy, required: true },
+  rawWpm: RESULT_METRIC_FIELDS.rawWpm,
+  characters: RESULT_METRIC_FIELDS.characters,
+  keystrokes: field.array({ nullable: true })
+};
+
+function raceError(message, code) {
+  return new AppError(message, 400, code);
+}
+
+// Race text: the requested one if everybody may see it, else a seeded pick from the public pool.
+// With no public texts the race is seed-only (clients generate words from the seed).
+async function loadRaceContent({ textId, seed }) {
+  const select = { id: true, title: true, content: true, language: true };
+  if (textId) {
+    const text = await prisma.text.findUnique({ where: { id: String(textId) }, select: { ...select, visibility: true } });
+    if (!text || text.visibility === 'private') throw raceError('Text not found or private', 'BAD_TEXT');
+    const { visibility, ...rest } = text;
+    return rest;
+  }
+  const where = { visibility: 'public' };
+  const total = await prisma.text.count({ where });
+  if (!total) return null;
+  const [text] = await prisma.text.findMany({ where, orderBy: { id: 'asc' }, skip: seedToInt(seed) % total, take: 1, select });
+  return text || null;
+}
+
+// `send(userId, message)` delivers to a player's connection (no-op when offline).
+// `submit`, `loadContent`, `now` and `timers` are injectable for tests.
+export function createRaceManager({
+  send,
+  submit = submitResult,
+  loadContent = loadRaceContent,
+  now = Date.now,
+  timers = { setTimeout, clearTimeout },
+  config = raceConfig()
+}) {
+  const rooms = new Map(); // code -> room
+  const memberships = new Map(); // userId -> code
+
+  function newCode() {
+    for (;;) {
+      let code = '';
+      for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+      if (!rooms.has(code)) return code;
+    }
+  }
+
+  function schedule(room, name, ms, fn) {
+    cancel(room, name);
+    room.timers[name] = timers.setTimeout(() => {
+      delete room.timers[name];
+      Promise.resolve(fn()).catch(e => console.warn(`[Races] ${name} failed in ${room.code}:`, e.message || e));
+    }, ms);
+  }
+
+  function cancel(room, name) {
+    if (room.timers[name]) timers.clearTimeout(room.timers[name]);
+    delete room.timers[name];
+  }
+
+  function playerView(p) {
+    return { id: p.id, username: p.username, connected: p.connected, position: p.position, wpm: p.wpm, place: p.place, dnf: p.dnf };
+  }
+
+  function roomView(room) {
+    return {
+      code: room.code,
+      hostId: room.hostId,
+      state: room.state,
+      seed: room.seed,
+      text: room.text,
+      maxDurationSec: config.maxDurationSec,
+      startsAt: room.startsAt,
+      startedAt: room.startedAt,
+      players: [...room.players.values()].map(playerView)
+    };
+  }
+
+  function broadcast(room, message) {
+    for (const p of room.players.values()) {
+      if (p.connected) send(p.id, message);
+    }
+  }
+
+  const broadcastRoom = room => broadcast(room, { type: 'room', room: roomView(room) });
+
+  function requireRoom(userId) {
+    const room = rooms.get(memberships.get(userId));
+    if (!room) throw raceError('Not in a race', 'NOT_IN_RACE');
+    return room;
+  }
+
+  function deleteRoom(room) {
+    for (const name of Object.keys(room.timers)) cancel(room, name);
+    for (const p of room.players.values()) {
+      if (memberships.get(p.id) === room.code) memberships.delete(p.id);
+    }
+    rooms.delete(room.code);
+  }
+
+  function wpmAt(room, position, at) {
+    const minutes = (at - room.startedAt) / 60000;
+    return minutes > 0 ? Math.round(position / 5 / minutes) : 0;
+  }
+
+  // Players still expected to finish (not finished, not DNF)
+  const racing = room => [...room.players.values()].filter(p => !p.place && !p.dnf);
+
+  // Drop a player from the room. Mid-race they stay in the standings as DNF.
+  function removePlayer(room, userId) {
+    const player = room.players.get(userId);
+    if (!player) return;
+    cancel(room, `grace:${userId}`);
+    if (memberships.get(userId) === room.code) memberships.delete(userId);
+
+    if (room.state === RACE_STATE.RUNNING) {
+      player.connected = false;
+      if (!player.place) player.dnf = true;
+    } else {
+      room.players.delete(userId);
+    }
+
+    // Finishers' results are still written when the last racer drops out
+    if (room.state === RACE_STATE.RUNNING && !racing(room).length) return endRace(room);
+    const remaining = [...room.players.values()].filter(p => memberships.get(p.id) === room.code);
+    if (!remaining.length) return deleteRoom(room);
+    if (room.hostId === userId) room.hostId = remaining[0].id;
+    broadcastRoom(room);
+  }
+
+  async function create(user, { textId } = {}) {
+    if (memberships.has(user.id)) leave(user.id);
+    const seed = randomSeed();
+    const text = await loadContent({ textId, seed });
+    const room = {
+      code: newCode(),
+      hostId: user.id,
+      state: RACE_STATE.LOBBY,
+      seed,
+      text,
+      startsAt: null,
+      startedAt: null,
+      finishers: 0,
+      players: new Map(),
+      timers: {}
+    };
+    rooms.set(room.code, room);
+    addPlayer(room, user);
+    return room;
+  }
+
+  function addPlayer(room, user) {
+    room.players.set(user.id, {
+      id: user.id,
+      username: user.username,
+      connected: true,
+      position: 0,
+      wpm: 0,
+      place: null,
+      dnf: false,
+      finishedAt: null,
+      finish: null,
+      lastBroadcastAt: 0
+    });
+    memberships.set(user.id, room.code);
+    broadcastRoom(room);
+  }
+
+  function join(user, code) {
+    const room = rooms.get(String(code || '').toUpperCase());
+    if (!room) throw raceError('Room not found', 'ROOM_NOT_FOUND');
+    if (memberships.get(user.id) === room.code) return resume(user.id);
+    if (room.state !== RACE_STATE.LOBBY) throw raceError('Race already started', 'RACE_STARTED');
+    if (room.players.size >= config.maxPlayers) throw raceError('Room is full', 'ROOM_FULL');
+    if (memberships.has(user.id)) leave(user.id);
+    addPlayer(room, user);
+    return room;
+  }
+
+  function leave(userId) {
+    removePlayer(requireRoom(userId), userId);
+  }
+
+  function start(userId) {
+    const room = requireRoom(userId);
+    if (room.hostId !== userId) throw raceError('Only the host can start the race', 'NOT_HOST');
+    if (room.state !== RACE_STATE.LOBBY) throw raceError('Race already started', 'RACE_STARTED');
+    room.state = RACE_STATE.COUNTDOWN;
+    room.startsAt = now() + config.countdownMs;
+    broadcastRoom(room);
+    schedule(room, 'countdown', config.countdownMs, () => {
+      room.state = RACE_STATE.RUNNING;
+      room.startedAt = now();
+      // Players still offline when the gun goes off keep their grace period
+      broadcastRoom(room);
+      schedule(room, 'timeLimit', config.maxDurationSec * 1000, () => endRace(room));
+    });
+  }
+
+  function progress(userId, { position }) {
+    const room = requireRoom(userId);
+    if (room.state !== RACE_STATE.RUNNING) throw raceError('Race is not running', 'NOT_RUNNING');
+    const player = room.players.get(userId);
+    if (player.place) return;
+    const max = room.text ? room.text.content.length : Number.MAX_SAFE_INTEGER;
+    const pos = Math.trunc(Number(position));
+    if (!Number.isFinite(pos) || pos < 0 || pos > max) throw raceError('Invalid position', 'BAD_PROGRESS');
+    const at = now();
+    player.position = pos;
+    player.wpm = wpmAt(room, pos, at);
+    if (at - player.lastBroadcastAt < config.progressIntervalMs) return;
+    player.lastBroadcastAt = at;
+    broadcast(room, { type: 'progress', userId, position: player.position, wpm: player.wpm });
+  }
+
+  // `input`: { wpm, accuracy, rawWpm?, characters?, keystrokes? } (FINISH_SCHEMA); anything else is refused
+  function finish(userId, input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw raceError('result must be an object', 'BAD_MESSAGE');
+    const room = requireRoom(userId);
+    if (room.state !== RACE_STATE.RUNNING) throw raceError('Race is not running', 'NOT_RUNNING');
+    const player = room.players.get(userId);
+    if (player.place) throw raceError('Already finished', 'ALREADY_FINISHED');
+    const fields = checkSchema(FINISH_SCHEMA, input);
+    player.finishedAt = now();
+    player.place = ++room.finishers;
+    if (room.text) player.position = room.text.content.length;
+    player.finish = fields;
+    broadcast(room, { type: 'finished', userId, place: player.place, timeMs: player.finishedAt - room.startedAt });
+    if (!racing(room).length) return endRace(room);
+  }
+
+  // Write every finisher's result (in finishing order) and publish the standings
+  async function endRace(room) {
+    if (room.state === RACE_STATE.FINISHED) return;
+    room.state = RACE_STATE.FINISHED;
+    for (const name of Object.keys(room.timers)) cancel(room, name);
+    for (const p of racing(room)) p.dnf = true;
+
+    const ordered = [...room.players.values()].sort((a, b) => (a.place || Infinity) - (b.place || Infinity));
+    const standings = [];
+    for (const p of ordered) {
+      const row = { place: p.place, userId: p.id, username: p.username, dnf: p.dnf, resultId: null, wpm: null, accuracy: null };
+      if (p.place) {
+        const { keystrokes, ...fields } = p.finish;
+        const input = {
+          ...fields,
+          mode: RACE_MODE,
+          durationSec: Math.max(1, Math.round((p.finishedAt - room.startedAt) / 1000)),
+          textId: room.text?.id || null,
+          seed: room.seed
+        };
+        try {
+          const { result } = await submit({ userId: p.id, input, keystrokes });
+          Object.assign(row, { resultId: result.id, wpm: result.wpm, accuracy: result.accuracy, status: result.status });
+        } catch (e) {
+          row.error = e.message;
+        }
+      }
+      standings.push(row);
+    }
+
+    broadcast(room, { type: 'results', code: room.code, standings });
+    deleteRoom(room);
+  }
+
+  // Called when a user's connection opens: resumes their room if they had one
+  function connect(user) {
+    const code = memberships.get(user.id);
+    if (code) resume(user.id);
+    return code ? rooms.get(code) : null;
+  }
+
+  function resume(userId) {
+    const room = requireRoom(userId);
+    const player = room.players.get(userId);
+    cancel(room, `grace:${userId}`);
+    player.connected = true;
+    broadcastRoom(room);
+    return room;
+  }
+
+  // Called when a user's connection drops: hold the slot for the grace period
+  function disconnect(userId) {
+    const room = rooms.get(memberships.get(userId));
+    if (!room) return;
+    const player = room.players.get(userId);
+    player.connected = false;
+    broadcastRoom(room);
+    schedule(room, `grace:${userId}`, config.reconnectGraceMs, () => removePlayer(room, userId));
+  }
+
+  // Dispatch one client message; errors are reported to the sender only
+  async function handle(user, message) {
+    try {
+      switch (message?.type) {
+        case 'create': return await create(user, message);
+        case 'join': return join(user, message.code);
+        case 'leave': return leave(user.id);
+        case 'start': return start(user.id);
+        case 'progress': return progress(user.id, message);
+        case 'finish': return await finish(user.id, message.result);
+        default: throw raceError('Unknown message type', 'BAD_MESSAGE');
+      }
+    } catch (e) {
+      if (e instanceof AppError) return send(user.id, { type: 'error', error: e.message, code: e.code, ...(e.fields ? { fields: e.fields } : {}) });
+      console.error('[Races] Message failed', e);
+      send(user.id, { type: 'error', error: 'Internal server error', code: 'INTERNAL' });
+    }
+  }
+
+  function shutdown() {
+    for (const room of [...rooms.values()]) deleteRoom(room);
+  }
+
+  return { handle, connect, disconnect, shutdown, rooms, roomOf: userId => rooms.get(memberships.get(userId)) || null, roomView };
+}
@@ -0,0 +1,123 @@
+import { prisma } from '../prismaClient.js';
+import { AppError, badRequest } from '../middleware/errors.js';
+import { field } from '../middleware/validate.js';
+import { validateResult } from './antiCheat.js';
+import { recordPersonalBest, rebuildPersonalBests } from './personalBests.js';
+import { emitDomainEvent, EVENTS } from './events.js';
+import { evaluateAchievements } from './achievements.js';
+import { applyChallenge, recordChallengeEntry } from './challenges.js';
+import { applyAssignment } from './teams.js';
+import { encodeKeystrokeLog } from './keystrokes.js';
+import { verifyClaimToken } from '../auth/jwt.js';
+
+/*
+ * results.js
+ * ---------------------------------
+ * The single write path for new TestResults (HTTP submissions and anything else that
+ * produces results): normalize -> anti-cheat screen -> store result, keystroke log and
+ * personal best in one transaction -> domain events after commit.
+ */
+
+// Body rules for what a client measured (POST/PATCH /test-results, race finishes).
+// Type-level limits only; plausibility is judged by the anti-cheat screen.
+export const RESULT_METRIC_FIELDS = {
+  wpm: field.number({ min: 0, max: 1000 }),
+  accuracy: field.number({ min: 0, max: 100 }),
+  rawWpm: field.number({ nullable: true, min: 0, max: 1000 }),
+  characters: field.integer({ nullable: true, min: 0, max: 100000 }),
+  durationSec: field.integer({ nullable: true, min: 0, max: 86400 }),
+  mode: field.string({ nullable: true, max: 32 })
+};
+
+export function optionalNumber(v) {
+  return v === undefined || v === null || v === '' ? null : Number(v);
+}
+
+export function roundedOrNull(v) {
+  const n = optionalNumber(v);
+  return n === null || !Number.isFinite(n) ? n : Math.round(n);
+}
+
+// Coerce raw client fields into TestResult column types
+export function normalizeResultInput({ wpm, accuracy, rawWpm, characters, durationSec, mode, textId, wordListId, seed }) {
+  return {
+    wpm: roundedOrNull(wpm),
+    accuracy: Number(accuracy),
+    rawWpm: roundedOrNull(rawWpm),
+    characters: optionalNumber(characters),
+    durationSec: optionalNumber(durationSec),
+    mode: mode == null ? null : String(mode),
+    textId: textId ? String(textId) : null,
+    wordListId: wordListId ? String(wordListId) : null,
+    seed: seed == null || seed === '' ? null : String(seed).slice(0, 64)
+  };
+}
+
+// A result may only reference content the submitter can see (public/unlisted or their own)
+async function assertContentUsable(model, id, userId, field) {
+  if (!id) return;
+  const item = await prisma[model].findUnique({ where: { id }, select: { ownerId: true, visibility: true } });
+  if (!item || (item.visibility === 'private' && item.ownerId !== userId)) throw badRequest(`Unknown ${field}`);
+}
+
+// Runs anti-cheat checks; throws on impossible results, otherwise returns status + flags to persist
+export function screenResult(result, keystrokes) {
+  const { errors, flags, status } = validateResult(result, keystrokes);
+  if (errors.length) throw new AppError(`Result rejected: ${errors.join('; ')}`, 422, 'RESULT_REJECTED');
+  return { status, flagReasons: flags };
+}
+
+// Store a result for `userId` (null for guests).
+// Returns { result, isPersonalBest, previousBest, hasReplay, ranked } (`ranked` only for daily challenge results).
+export async function submitResult({ userId = null, input, keystrokes }) {
+  const data = { userId, ...normalizeResultInput(input) };
+  // Daily challenge content is fixed by the server, so it skips the visibility checks
+  const challenge = await applyChallenge(data, input.challengeId);
+  if (!challenge) await applyAssignment(data, input.assignmentId);
+  Object.assign(data, screenResult(data, keystrokes));
+  if (!challenge) {
+    await assertContentUsable('text', data.textId, userId, 'textId');
+    await assertContentUsable('wordList', data.wordListId, userId, 'wordListId');
+  }
+
+  const log = encodeKeystrokeLog(keystrokes);
+
+  const { result, pb, ranked } = await prisma.$transaction(async tx => {
+    const created = await tx.testResult.create({ data });
+    if (log) await tx.keystrokeLog.create({ data: { resultId: created.id, ...log } });
+    return {
+      result: created,
+      pb: await recordPersonalBest(created, tx),
+      ranked: challenge ? await recordChallengeEntry(created, tx) : undefined
+    };
+  });
+
+  emitDomainEvent(EVENTS.RESULT_CREATED, { result, isPersonalBest: pb.isPersonalBest });
+  if (pb.isPersonalBest) {
+    emitDomainEvent(EVENTS.PERSONAL_BEST, { userId: result.userId, result, previousBest: pb.previousBest });
+  }
+  return { result, isPersonalBest: pb.isPersonalBest, previousBest: pb.previousBest, hasReplay: !!log, ranked };
+}
+
+export const MAX_CLAIMS_PER_REQUEST = 500;
+
+// Attach guest results to `userId` using the claim tokens handed out at submission.
+// Only results that are still ownerless can be claimed, so a token is effectively single-use.
+export async function claimResults(userId, claimTokens) {
+  const verified = claimTokens.map(verifyClaimToken);
+  const ids = [...new Set(verified.filter(Boolean))];
+  const invalid = verified.filter(id => !id).length;
+  if (!ids.length) return { claimed: 0, invalid, resultIds: [] };
+
+  const claimable = await prisma.testResult.findMany({ where: { id: { in: ids }, userId: null }, select: { id: true } });
+  const resultIds = claimable.map(r => r.id);
+  if (!resultIds.length) return { claimed: 0, invalid, resultIds };
+
+  const claimed = await prisma.$transaction(async tx => {
+    const { count } = await tx.testResult.updateMany({ where: { id: { in: resultIds }, userId: null }, data: { userId } });
+    await rebuildPersonalBests(userId, tx);
+    return count;
+  });
+  await evaluateAchievements(userId);
+  return { claimed, invalid, resultIds };
+}
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+/*
+ * seededRandom.js
+ * ---------------------------------
+ * Deterministic pseudo-random helpers: the same seed string always yields the same
+ * sequence, so a test can be regenerated (or shared) from its seed alone.
+ * Not suitable for anything security related.
+ */
+
+export function seedToInt(seed) {
+  return crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+}
+
+// mulberry32: small, fast 32-bit PRNG returning floats in [0, 1)
+export function createRng(seed) {
+  let a = typeof seed === 'number' ? seed >>> 0 : seedToInt(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// `count` words drawn from `words`, reshuffling the pool each time it runs out to avoid streaky repeats
+export function seededWordSequence(words, count, seed) {
+  const rng = createRng(seed);
+  const out = [];
+  let pool = [];
+  while (out.length < count && words.length) {
+    if (!pool.length) {
+      pool = [...words];
+      for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+    }
+    out.push(pool.pop());
+  }
+  return out;
+}
@@ -0,0 +1,160 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prismaClient.js';
+import { AppError, badRequest, notFound, unauthorized } from '../middleware/errors.js';
+
+/*
+ * social.js (follow graph)
+ * ---------------------------------
+ *  - Follows are one-way ("Follow" follower -> following); no acceptance step
+ *  - A block removes follows in both directions and stops either side from following again
+ *  - Feed: recent personal bests of followed users (users hiding results are skipped)
+ *  - Leaderboards take ?scope=following: the caller plus everyone they follow
+ *
+ * Follow lookups always start from the "Follow" primary key (followerId, followingId), and the
+ * feed reads each followed user's newest personal bests through an index, so cost grows with
+ * the page size rather than with how much everyone has typed.
+ *
+ * Env Variables:
+ *  SOCIAL_MAX_FOLLOWING   follows per user (default 5000)
+ *  SOCIAL_FEED_DAYS       how far back the feed looks (default 30)
+ */
+
+export const LEADERBOARD_SCOPES = ['global', 'following'];
+
+// Deepest feed page (take + skip); each followed user is read up to this many rows
+const FEED_MAX_DEPTH = 500;
+
+const userSummary = { id: true, username: true, displayName: true, avatarUrl: true };
+
+function toInt(val, def) {
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : def;
+}
+
+// ?scope= for boards; 'following' needs a signed-in caller
+export function parseScope(raw, userId) {
+  const scope = raw ? String(raw).toLowerCase() : 'global';
+  if (!LEADERBOARD_SCOPES.includes(scope)) throw badRequest(`scope must be one of ${LEADERBOARD_SCOPES.join(', ')}`);
+  if (scope === 'following' && !userId) throw unauthorized('Sign in to see the people you follow');
+  return scope;
+}
+
+// SQL condition: `column` is `userId` or someone `userId` follows
+export function followingCondition(column, userId) {
+  return Prisma.sql`(${column} = ${userId} OR EXISTS (
+    SELECT 1 FROM "Follow" f WHERE f."followerId" = ${userId} AND f."followingId" = ${column}))`;
+}
+
+function blockedBetween(a, b) {
+  return { OR: [{ blockerId: a, blockedId: b }, { blockerId: b, blockedId: a }] };
+}
+
+async function assertOtherUser(client, actorId, targetId, verb) {
+  if (actorId === targetId) throw badRequest(`You cannot ${verb} yourself`);
+  const target = await client.user.findUnique({ where: { id: targetId }, select: { id: true } });
+  if (!target) throw notFound();
+}
+
+// Returns true when a new follow was created (following twice is a no-op)
+export async function followUser(followerId, followingId) {
+  return prisma.$transaction(async tx => {
+    await assertOtherUser(tx, followerId, followingId, 'follow');
+    if (await tx.block.findFirst({ where: blockedBetween(followerId, followingId), select: { blockerId: true } })) {
+      throw new AppError('You cannot follow this user', 403, 'BLOCKED');
+    }
+    const max = toInt(process.env.SOCIAL_MAX_FOLLOWING, 5000);
+    if (await tx.follow.count({ where: { followerId } }) >= max) {
+      throw new AppError(`You can follow at most ${max} users`, 409, 'FOLLOW_LIMIT');
+    }
+    const { count } = await tx.follow.createMany({ data: [{ followerId, followingId }], skipDuplicates: true });
+    return count === 1;
+  });
+}
+
+export async function unfollowUser(followerId, followingId) {
+  const { count } = await prisma.follow.deleteMany({ where: { followerId, followingId } });
+  return count === 1;
+}
+
+export async function blockUser(blockerId, blockedId) {
+  return prisma.$transaction(async tx => {
+    await assertOtherUser(tx, blockerId, blockedId, 'block');
+    await tx.block.createMany({ data: [{ blockerId, blockedId }], skipDuplicates: true });
+    await tx.follow.deleteMany({
+      where: { OR: [{ followerId: blockerId, followingId: blockedId }, { followerId: blockedId, followingId: blockerId }] }
+    });
+  });
+}
+
+export async function unblockUser(blockerId, blockedId) {
+  const { count } = await prisma.block.deleteMany({ where: { blockerId, blockedId } });
+  return count === 1;
+}
+
+async function listEdges(model, where, relation, dateField, { take = 50, skip = 0 } = {}) {
+  const [rows, total] = await Promise.all([
+    prisma[model].findMany({ where, orderBy: { createdAt: 'desc' }, take, skip, select: { createdAt: true, [relation]: { select: userSummary } } }),
+    prisma[model].count({ where })
+  ]);
+  return { total, take, skip, items: rows.map(row => ({ ...row[relation], [dateField]: row.createdAt })) };
+}
+
+export const listFollowers = (userId, page) => listEdges('follow', { followingId: userId }, 'follower', 'followedAt', page);
+export const listFollowing = (userId, page) => listEdges('follow', { followerId: userId }, 'following', 'followedAt', page);
+export const listBlocks = (userId, page) => listEdges('block', { blockerId: userId }, 'blocked', 'blockedAt', page);
+
+// Relationship between the viewer and a profile, for follow/block buttons
+export async function relationship(viewerId, userId) {
+  if (!viewerId || viewerId === userId) return null;
+  const [following, followedBy, blocked] = await Promise.all([
+    prisma.follow.findUnique({ where: { followerId_followingId: { followerId: viewerId, followingId: userId } }, select: { createdAt: true } }),
+    prisma.follow.findUnique({ where: { followerId_followingId: { followerId: userId, followingId: viewerId } }, select: { createdAt: true } }),
+    prisma.block.findUnique({ where: { blockerId_blockedId: { blockerId: viewerId, blockedId: userId } }, select: { createdAt: true } })
+  ]);
+  return { following: !!following, followedBy: !!followedBy, blocked: !!blocked };
+}
+
+export async function followCounts(userId) {
+  const [followers, following] = await Promise.all([
+    prisma.follow.count({ where: { followingId: userId } }),
+    prisma.follow.count({ where: { followerId: userId } })
+  ]);
+  return { followers, following };
+}
+
+// Newest personal bests of followed users. Each followed user contributes at most take + skip
+// rows from the (userId, createdAt) index, inside the feed window.
+export async function getFeed(userId, { take = 25, skip = 0 } = {}) {
+  if (take + skip > FEED_MAX_DEPTH) throw badRequest(`The feed only goes ${FEED_MAX_DEPTH} entries deep`);
+  const since = new Date(Date.now() - toInt(process.env.SOCIAL_FEED_DAYS, 30) * 24 * 60 * 60 * 1000);
+  const rows = await prisma.$queryRaw`
+    SELECT h."id", h."userId", u."username", u."displayName", u."avatarUrl",
+      h."mode", h."durationSec", h."wpm", h."accuracy", h."previousWpm", h."resultId", h."createdAt"
+    FROM "Follow" f
+    JOIN "User" u ON u."id" = f."followingId" AND NOT u."hideResults"
+    JOIN LATERAL (
+      SELECT * FROM "PersonalBestHistory" ph
+      WHERE ph."userId" = f."followingId" AND ph."createdAt" >= ${since}
+      ORDER BY ph."createdAt" DESC
+      LIMIT ${take + skip}
+    ) h ON TRUE
+    WHERE f."followerId" = ${userId}
+    ORDER BY h."createdAt" DESC, h."id"
+    LIMIT ${take} OFFSET ${skip}`;
+  return {
+    since,
+    take,
+    skip,
+    items: rows.map(r => ({
+      id: r.id,
+      user: { id: r.userId, username: r.username, displayName: r.displayName, avatarUrl: r.avatarUrl },
+      mode: r.mode,
+      durationSec: r.durationSec,
+      wpm: r.wpm,
+      accuracy: r.accuracy,
+      previousWpm: r.previousWpm,
+      resultId: r.resultId,
+      achievedAt: r.createdAt
+    }))
+  };
+}
@@ -0,0 +1,126 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prismaClient.js';
+import { RESULT_STATUS } from './antiCheat.js';
+
+/*
+ * stats.js
+ * ---------------------------------
+ * Per-user statistics computed in Postgres (one query per section, all index-backed
+ * by "TestResult"("userId", "createdAt")). Only accepted results are counted.
+ * Days are UTC calendar days.
+ */
+
+const round = (n, digits = 1) => (n == null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+function scope({ userId, mode, durationSec }) {
+  const conditions = [Prisma.sql`"userId" = ${userId}`, Prisma.sql`"status" = ${RESULT_STATUS.ACCEPTED}`];
+  if (mode) conditions.push(Prisma.sql`"mode" = ${mode}`);
+  if (durationSec != null) conditions.push(Prisma.sql`"durationSec" = ${durationSec}`);
+  return Prisma.join(conditions, ' AND ');
+}
+
+function summarize(row) {
+  const avgWpm = row.avgWpm ?? null;
+  const stddevWpm = row.stddevWpm ?? null;
+  return {
+    tests: row.tests || 0,
+    bestWpm: row.bestWpm ?? null,
+    avgWpm: round(avgWpm),
+    avgAccuracy: round(row.avgAccuracy),
+    stddevWpm: round(stddevWpm),
+    // 100 = perfectly even speed; based on the coefficient of variation
+    consistency: avgWpm ? round(Math.max(0, 100 * (1 - stddevWpm / avgWpm))) : null
+  };
+}
+
+async function totals(where) {
+  const [row] = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS "tests", MAX("wpm") AS "bestWpm",
+      AVG("wpm")::float8 AS "avgWpm", AVG("accuracy")::float8 AS "avgAccuracy",
+      STDDEV_POP("wpm")::float8 AS "stddevWpm",
+      COALESCE(SUM("durationSec"), 0)::int AS "totalTimeSec",
+      MIN("createdAt") AS "firstTestAt", MAX("createdAt") AS "lastTestAt"
+    FROM "TestResult" WHERE ${where}`;
+  return { ...summarize(row), totalTimeSec: row.totalTimeSec, firstTestAt: row.firstTestAt, lastTestAt: row.lastTestAt };
+}
+
+async function rolling(where, size) {
+  const [row] = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS "tests", MAX("wpm") AS "bestWpm",
+      AVG("wpm")::float8 AS "avgWpm", AVG("accuracy")::float8 AS "avgAccuracy",
+      STDDEV_POP("wpm")::float8 AS "stddevWpm"
+    FROM (SELECT "wpm", "accuracy" FROM "TestResult" WHERE ${where} ORDER BY "createdAt" DESC LIMIT ${size}) recent`;
+  return summarize(row);
+}
+
+// Best result per mode/duration (wpm, then accuracy, then earliest)
+export async function personalBests(userId) {
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT ON ("mode", "durationSec")
+      "id", "mode", "durationSec", "wpm", "accuracy", "rawWpm", "createdAt"
+    FROM "TestResult" WHERE ${scope({ userId })}
+    ORDER BY "mode", "durationSec", "wpm" DESC, "accuracy" DESC, "createdAt" ASC`;
+  return rows.map(r => ({ resultId: r.id, mode: r.mode, durationSec: r.durationSec, wpm: r.wpm, accuracy: r.accuracy, rawWpm: r.rawWpm, createdAt: r.createdAt }));
+}
+
+async function dailySeries(where, days) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+  since.setUTCHours(0, 0, 0, 0);
+  const rows = await prisma.$queryRaw`
+    SELECT to_char(date_trunc('day', "createdAt"), 'YYYY-MM-DD') AS "day",
+      COUNT(*)::int AS "tests", MAX("wpm") AS "bestWpm",
+      AVG("wpm")::float8 AS "avgWpm", AVG("accuracy")::float8 AS "avgAccuracy",
+      COALESCE(SUM("durationSec"), 0)::int AS "timeSec"
+    FROM "TestResult" WHERE ${where} AND "createdAt" >= ${since}
+    GROUP BY 1 ORDER BY 1 ASC`;
+  return rows.map(r => ({ day: r.day, tests: r.tests, bestWpm: r.bestWpm, avgWpm: round(r.avgWpm), avgAccuracy: round(r.avgAccuracy), timeSec: r.timeSec }));
+}
+
+// Consecutive UTC days with at least one test (gaps-and-islands over distinct days)
+export async function streaks(userId, now = new Date()) {
+  const rows = await prisma.$queryRaw`
+    WITH days AS (
+      SELECT DISTINCT "createdAt"::date AS "d" FROM "TestResult" WHERE ${scope({ userId })}
+    ),
+    islands AS (
+      SELECT "d", "d" - (ROW_NUMBER() OVER (ORDER BY "d"))::int AS "grp" FROM days
+    )
+    SELECT to_char(MIN("d"), 'YYYY-MM-DD') AS "start", to_char(MAX("d"), 'YYYY-MM-DD') AS "end", COUNT(*)::int AS "length"
+    FROM islands GROUP BY "grp" ORDER BY MAX("d") DESC`;
+
+  const today = now.toISOString().slice(0, 10);
+  const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const latest = rows[0];
+  const current = latest && (latest.end === today || latest.end === yesterday) ? latest : null;
+  const longest = rows.reduce((best, r) => (!best || r.length > best.length ? r : best), null);
+  return {
+    current: current ? current.length : 0,
+    currentStart: current ? current.start : null,
+    longest: longest ? longest.length : 0,
+    longestStart: longest ? longest.start : null,
+    longestEnd: longest ? longest.end : null,
+    activeDays: rows.reduce((sum, r) => sum + r.length, 0)
+  };
+}
+
+// Full stats payload. `mode` / `durationSec` narrow totals, rolling averages and the series.
+export async function getUserStats(userId, { mode, durationSec, days = 30 } = {}) {
+  const where = scope({ userId, mode, durationSec });
+  const [overall, last10, last100, bests, series, streak] = await Promise.all([
+    totals(where),
+    rolling(where, 10),
+    rolling(where, 100),
+    personalBests(userId),
+    dailySeries(where, days),
+    streaks(userId)
+  ]);
+  return {
+    userId,
+    filter: { mode: mode || null, durationSec: durationSec ?? null, days },
+    totals: overall,
+    rolling: { last10, last100 },
+    personalBests: bests,
+    daily: series,
+    streaks: streak
+  };
+}
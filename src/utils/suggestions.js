@@ -0,0 +1,85 @@
+import { prisma } from '../prismaClient.js';
+import { badRequest } from '../middleware/errors.js';
+import { EMAIL_RE, field } from '../middleware/validate.js';
+
+/*
+ * suggestions.js
+ * ---------------------------------
+ * Body schema and spam heuristics for the public suggestion box, plus the admin
+ * triage statuses. Submissions that trip a heuristic are stored with status 'spam'
+ * (and the reasons) instead of being rejected, so bots get no feedback to tune against.
+ */
+
+export const SUGGESTION_STATUS = { NEW: 'new', TRIAGED: 'triaged', PLANNED: 'planned', DONE: 'done', SPAM: 'spam' };
+export const NOTE_KIND = { NOTE: 'note', REPLY: 'reply' };
+
+export const LIMITS = {
+  messageMin: 5,
+  messageMax: 2000,
+  nameMax: 100,
+  emailMax: 254,
+  noteMax: 5000,
+  replyMax: 5000
+};
+
+const MAX_LINKS = 3;
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Body of POST /suggestions. `website` is a hidden form field: humans leave it empty (see spamReasons).
+export const SUGGESTION_SCHEMA = {
+  message: field.string({ required: true, min: 1, max: LIMITS.messageMax }),
+  name: field.string({ nullable: true, max: LIMITS.nameMax }),
+  email: field.string({ nullable: true, max: LIMITS.emailMax, normalize: v => v.toLowerCase(), pattern: EMAIL_RE, patternMessage: 'must be a valid email address' }),
+  website: field.string({ nullable: true, trim: false })
+};
+
+// Returns the heuristics that fired (empty = looks legitimate)
+export async function spamReasons({ message, email, website }, userId) {
+  const reasons = [];
+  if (website?.trim()) reasons.push('honeypot');
+  if (message.length < LIMITS.messageMin) reasons.push('too_short');
+  if ((message.match(/https?:\/\/|www\./gi) || []).length > MAX_LINKS) reasons.push('too_many_links');
+  if (/(.)\1{9,}/.test(message)) reasons.push('repeated_characters');
+  const letters = message.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters === letters.toUpperCase()) reasons.push('all_caps');
+
+  // Same text from the same sender within a day
+  if (userId || email) {
+    const duplicate = await prisma.suggestion.findFirst({
+      where: {
+        message,
+        createdAt: { gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) },
+        ...(userId ? { userId } : { email })
+      },
+      select: { id: true }
+    });
+    if (duplicate) reasons.push('duplicate');
+  }
+  return reasons;
+}
+
+// Admin list filters: ?status=&q=&userId=&from=&to=
+export function suggestionFilters(query) {
+  const where = {};
+  if (query.status) {
+    if (!Object.values(SUGGESTION_STATUS).includes(query.status)) throw badRequest('Invalid status');
+    where.status = query.status;
+  } else {
+    where.status = { not: SUGGESTION_STATUS.SPAM };
+  }
+  if (query.userId) where.userId = String(query.userId);
+  if (query.q) {
+    const q = String(query.q).slice(0, 100);
+    where.OR = [
+      { message: { contains: q, mode: 'insensitive' } },
+      { name: { contains: q, mode: 'insensitive' } },
+      { email: { contains: q, mode: 'insensitive' } }
+    ];
+  }
+  const range = {};
+  if (query.from) range.gte = new Date(query.from);
+  if (query.to) range.lt = new Date(query.to);
+  if (Object.values(range).some(d => Number.isNaN(d.getTime()))) throw badRequest('from/to must be dates');
+  if (Object.keys(range).length) where.createdAt = range;
+  return where;
+}
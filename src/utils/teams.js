@@ -0,0 +1,366 @@
+import { randomInt } from 'crypto';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prismaClient.js';
+import { AppError, badRequest, notFound, unauthorized } from '../middleware/errors.js';
+import { RESULT_STATUS } from './antiCheat.js';
+import { ALL_MODES } from './achievements.js';
+import { toCsv } from './csv.js';
+import { field } from '../middleware/validate.js';
+
+/*
+ * teams.js (teams / classrooms)
+ * ---------------------------------
+ *  - Anyone can create a team and becomes its owner; others join with the join code
+ *  - Roles: 'owner' (manage team, members, assignments, see everyone's results) and 'member'.
+ *    A team always keeps at least one owner.
+ *  - Leaderboard and stats are built from members' accepted TestResults. Stats and the CSV export
+ *    only see results from after joining; members who hide their results only share assignment work.
+ *  - Assignments pin a mode, duration (enforced for 'time'), optional text and a deadline.
+ *    Members submit with `assignmentId`; their best accepted result before the deadline is
+ *    their score.
+ *
+ * Env Variables:
+ *  TEAM_MAX_MEMBERS          members per team (default 200)
+ *  TEAM_EXPORT_MAX_ROWS      rows in one CSV export (default 50000)
+ */
+
+export const TEAM_ROLES = { OWNER: 'owner', MEMBER: 'member' };
+
+export const TEAM_LIMITS = {
+  nameMax: 80,
+  descriptionMax: 500,
+  titleMax: 120,
+  durationMaxSec: 600
+};
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+const CODE_LENGTH = 8;
+
+const userSummary = { id: true, username: true, displayName: true, avatarUrl: true };
+
+function toInt(val, def) {
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : def;
+}
+
+function generateJoinCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+// Codes are shown grouped (ABCD-EFGH); accept any case and separators
+function normalizeCode(raw) {
+  return String(raw || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Retries on the (unlikely) join code collision
+async function withFreshCode(write) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await write(generateJoinCode());
+    } catch (e) {
+      if (e.code !== 'P2002' || attempt >= 4) throw e;
+    }
+  }
+}
+
+// Body schemas for the team routes (validate.js)
+export const TEAM_SCHEMA = {
+  name: field.string({ required: true, min: 1, max: TEAM_LIMITS.nameMax }),
+  description: field.string({ nullable: true, max: TEAM_LIMITS.descriptionMax })
+};
+
+export const TEAM_UPDATE_SCHEMA = { ...TEAM_SCHEMA, name: field.string({ min: 1, max: TEAM_LIMITS.nameMax }) };
+
+export const JOIN_SCHEMA = { code: field.string({ required: true, min: 1, max: 32 }) };
+
+export const MEMBER_ROLE_SCHEMA = { role: field.oneOf(Object.values(TEAM_ROLES), { required: true }) };
+
+export const ASSIGNMENT_SCHEMA = {
+  title: field.string({ required: true, min: 1, max: TEAM_LIMITS.titleMax }),
+  mode: field.oneOf(ALL_MODES, { required: true }),
+  durationSec: field.integer({ required: true, min: 1, max: TEAM_LIMITS.durationMaxSec }),
+  textId: field.string({ nullable: true, max: 64 }),
+  deadline: field.date({ required: true, check: d => (d > new Date() ? undefined : 'must be in the future') })
+};
+
+export async function createTeam(ownerId, data) {
+  return withFreshCode(joinCode => prisma.team.create({
+    data: { ...data, joinCode, members: { create: { userId: ownerId, role: TEAM_ROLES.OWNER } } }
+  }));
+}
+
+export async function regenerateJoinCode(teamId) {
+  return withFreshCode(joinCode => prisma.team.update({ where: { id: teamId }, data: { joinCode } }));
+}
+
+// Returns { team, joined } (joined false when already a member)
+export async function joinTeam(userId, rawCode) {
+  const joinCode = normalizeCode(rawCode);
+  if (!joinCode) throw badRequest('code required');
+  return prisma.$transaction(async tx => {
+    const team = await tx.team.findUnique({ where: { joinCode } });
+    if (!team) throw notFound('No team with that code');
+    // Lock the team so concurrent joins can't overshoot the member cap
+    await tx.$queryRaw`SELECT 1 FROM "Team" WHERE "id" = ${team.id} FOR UPDATE`;
+    const existing = await tx.teamMember.findUnique({ where: { teamId_userId: { teamId: team.id, userId } } });
+    if (existing) return { team, joined: false };
+    const max = toInt(process.env.TEAM_MAX_MEMBERS, 200);
+    if (await tx.teamMember.count({ where: { teamId: team.id } }) >= max) throw new AppError(`Team is full (${max} members)`, 409, 'TEAM_FULL');
+    await tx.teamMember.create({ data: { teamId: team.id, userId } });
+    return { team, joined: true };
+  });
+}
+
+// Throws unless another owner remains once `userId` stops being one
+async function assertOtherOwner(tx, teamId, userId) {
+  await tx.$queryRaw`SELECT 1 FROM "Team" WHERE "id" = ${teamId} FOR UPDATE`;
+  const others = await tx.teamMember.count({ where: { teamId, role: TEAM_ROLES.OWNER, userId: { not: userId } } });
+  if (!others) throw new AppError('A team needs at least one owner; promote someone first or delete the team', 409, 'LAST_OWNER');
+}
+
+export async function setMemberRole(teamId, userId, role) {
+  if (!Object.values(TEAM_ROLES).includes(role)) throw badRequest(`role must be one of ${Object.values(TEAM_ROLES).join(', ')}`);
+  return prisma.$transaction(async tx => {
+    const member = await tx.teamMember.findUnique({ where: { teamId_userId: { teamId, userId } } });
+    if (!member) throw notFound('Not a member of this team');
+    if (member.role === TEAM_ROLES.OWNER && role !== TEAM_ROLES.OWNER) await assertOtherOwner(tx, teamId, userId);
+    return tx.teamMember.update({ where: { teamId_userId: { teamId, userId } }, data: { role } });
+  });
+}
+
+export async function removeMember(teamId, userId) {
+  return prisma.$transaction(async tx => {
+    const member = await tx.teamMember.findUnique({ where: { teamId_userId: { teamId, userId } } });
+    if (!member) throw notFound('Not a member of this team');
+    if (member.role === TEAM_ROLES.OWNER) await assertOtherOwner(tx, teamId, userId);
+    await tx.teamMember.delete({ where: { teamId_userId: { teamId, userId } } });
+  });
+}
+
+export async function listUserTeams(userId) {
+  const memberships = await prisma.teamMember.findMany({
+    where: { userId },
+    orderBy: { joinedAt: 'desc' },
+    include: { team: { include: { _count: { select: { members: true } } } } }
+  });
+  return memberships.map(({ role, joinedAt, team }) => ({
+    id: team.id,
+    name: team.name,
+    description: team.description,
+    role,
+    joinedAt,
+    members: team._count.members
+  }));
+}
+
+// Team with its member list; the join code is only for owners
+export async function describeTeam(team, { manager = false } = {}) {
+  const members = await prisma.teamMember.findMany({
+    where: { teamId: team.id },
+    orderBy: [{ role: 'desc' }, { joinedAt: 'asc' }],
+    select: { role: true, joinedAt: true, user: { select: userSummary } }
+  });
+  return {
+    id: team.id,
+    name: team.name,
+    description: team.description,
+    createdAt: team.createdAt,
+    joinCode: manager ? team.joinCode : undefined,
+    members: members.map(({ user, role, joinedAt }) => ({ ...user, role, joinedAt }))
+  };
+}
+
+// Which member results the team may see: only those from after the member joined, and for
+// members with hideResults (profiles.js) only what they submitted to this team's assignments
+async function teamResultScope(teamId) {
+  const members = await prisma.teamMember.findMany({
+    where: { teamId },
+    select: { role: true, joinedAt: true, user: { select: { ...userSummary, hideResults: true } } }
+  });
+  const visible = members.map(({ user, joinedAt }) => ({
+    userId: user.id,
+    createdAt: { gte: joinedAt },
+    ...(user.hideResults ? { assignment: { teamId } } : {})
+  }));
+  return { members, where: { OR: visible } };
+}
+
+// teamResultScope as a raw SQL condition on the TestResult alias `t` (leaderboard.js)
+export function teamResultScopeSql(teamId) {
+  return Prisma.sql`EXISTS (
+    SELECT 1 FROM "TeamMember" m JOIN "User" mu ON mu."id" = m."userId"
+    WHERE m."teamId" = ${teamId} AND m."userId" = t."userId" AND t."createdAt" >= m."joinedAt"
+      AND (NOT mu."hideResults" OR EXISTS (SELECT 1 FROM "Assignment" a WHERE a."id" = t."assignmentId" AND a."teamId" = ${teamId}))
+  )`;
+}
+
+// Totals over the last `days`; `detailed` adds one row per member
+export async function getTeamStats(teamId, { days = 30, detailed = false } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const scope = await teamResultScope(teamId);
+  const members = scope.members.map(({ role, user: { hideResults, ...user } }) => ({ role, user }));
+  const groups = await prisma.testResult.groupBy({
+    by: ['userId'],
+    where: { AND: [scope.where, { status: RESULT_STATUS.ACCEPTED, createdAt: { gte: since } }] },
+    _count: { _all: true },
+    _avg: { wpm: true, accuracy: true },
+    _max: { wpm: true, createdAt: true }
+  });
+  const byUser = new Map(groups.map(g => [g.userId, g]));
+  const tests = groups.reduce((sum, g) => sum + g._count._all, 0);
+  const weighted = field => (tests ? Math.round(groups.reduce((sum, g) => sum + g._avg[field] * g._count._all, 0) / tests * 10) / 10 : null);
+
+  const stats = {
+    days,
+    since,
+    members: members.length,
+    activeMembers: groups.length,
+    tests,
+    avgWpm: weighted('wpm'),
+    avgAccuracy: weighted('accuracy'),
+    bestWpm: groups.length ? Math.max(...groups.map(g => g._max.wpm)) : null
+  };
+  if (detailed) {
+    stats.perMember = members.map(({ user, role }) => {
+      const g = byUser.get(user.id);
+      return {
+        ...user,
+        role,
+        tests: g?._count._all || 0,
+        avgWpm: g ? Math.round(g._avg.wpm * 10) / 10 : null,
+        avgAccuracy: g ? Math.round(g._avg.accuracy * 10) / 10 : null,
+        bestWpm: g?._max.wpm ?? null,
+        lastActiveAt: g?._max.createdAt ?? null
+      };
+    }).sort((a, b) => (b.bestWpm ?? -1) - (a.bestWpm ?? -1));
+  }
+  return stats;
+}
+
+// ASSIGNMENT_SCHEMA body -> Prisma data; members have to be able to load the text
+export async function resolveAssignmentInput({ textId = null, ...data }) {
+  if (textId) {
+    const text = await prisma.text.findUnique({ where: { id: textId }, select: { visibility: true } });
+    if (!text) throw badRequest('Unknown textId');
+    if (text.visibility === 'private') throw badRequest('Assignment texts must be public or unlisted');
+  }
+  return { ...data, textId };
+}
+
+const assignmentSelect = { id: true, title: true, mode: true, durationSec: true, textId: true, deadline: true, createdAt: true };
+
+function toScore(r) {
+  return { resultId: r.resultId, wpm: r.wpm, accuracy: r.accuracy, completedAt: r.createdAt, attempts: r.attempts };
+}
+
+// Best accepted result per user for one assignment, with attempt counts
+async function assignmentScores(assignmentId) {
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT ON (t."userId") t."userId", t."id" AS "resultId", t."wpm", t."accuracy", t."createdAt",
+      COUNT(*) OVER (PARTITION BY t."userId")::int AS "attempts"
+    FROM "TestResult" t
+    WHERE t."assignmentId" = ${assignmentId} AND t."status" = ${RESULT_STATUS.ACCEPTED}
+    ORDER BY t."userId", t."wpm" DESC, t."accuracy" DESC, t."createdAt" ASC`;
+  return new Map(rows.map(r => [r.userId, toScore(r)]));
+}
+
+// Owners see how many members completed each assignment; members see their own score
+export async function listAssignments(teamId, { userId, manager = false }) {
+  const assignments = await prisma.assignment.findMany({ where: { teamId }, orderBy: { deadline: 'desc' }, select: assignmentSelect });
+  if (!assignments.length) return [];
+  const ids = assignments.map(a => a.id);
+  if (manager) {
+    const [students, rows] = await Promise.all([
+      prisma.teamMember.count({ where: { teamId, role: TEAM_ROLES.MEMBER } }),
+      prisma.$queryRaw`
+        SELECT t."assignmentId", COUNT(DISTINCT t."userId")::int AS "completed"
+        FROM "TestResult" t
+        JOIN "TeamMember" m ON m."userId" = t."userId" AND m."teamId" = ${teamId} AND m."role" = ${TEAM_ROLES.MEMBER}
+        WHERE t."assignmentId" IN (${Prisma.join(ids)}) AND t."status" = ${RESULT_STATUS.ACCEPTED}
+        GROUP BY t."assignmentId"`
+    ]);
+    const completed = new Map(rows.map(r => [r.assignmentId, r.completed]));
+    return assignments.map(a => ({ ...a, members: students, completed: completed.get(a.id) || 0 }));
+  }
+  const mine = await prisma.testResult.findMany({
+    where: { assignmentId: { in: ids }, userId, status: RESULT_STATUS.ACCEPTED },
+    orderBy: [{ wpm: 'desc' }, { accuracy: 'desc' }, { createdAt: 'asc' }],
+    select: { id: true, assignmentId: true, wpm: true, accuracy: true, createdAt: true }
+  });
+  const best = new Map();
+  for (const r of mine) {
+    const score = best.get(r.assignmentId);
+    if (score) score.attempts++;
+    else best.set(r.assignmentId, toScore({ ...r, resultId: r.id, attempts: 1 }));
+  }
+  return assignments.map(a => ({ ...a, score: best.get(a.id) || null }));
+}
+
+// One assignment; owners get every member's completion, members only their own score
+export async function getAssignmentReport(assignment, { userId, manager = false }) {
+  const { teamId, ...details } = assignment;
+  const scores = await assignmentScores(assignment.id);
+  if (!manager) return { ...details, score: scores.get(userId) || null };
+  const members = await prisma.teamMember.findMany({
+    where: { teamId, role: TEAM_ROLES.MEMBER },
+    select: { user: { select: userSummary } }
+  });
+  const rows = members.map(({ user }) => ({ ...user, completed: scores.has(user.id), score: scores.get(user.id) || null }));
+  rows.sort((a, b) => (b.score?.wpm ?? -1) - (a.score?.wpm ?? -1) || a.username.localeCompare(b.username));
+  return { ...details, completed: rows.filter(r => r.completed).length, members: rows };
+}
+
+// Validate a submission carrying `assignmentId` and pin it to the assignment. Mutates `data`.
+export async function applyAssignment(data, assignmentId) {
+  if (!assignmentId) return null;
+  if (!data.userId) throw unauthorized('Sign in to submit an assignment');
+  const assignment = await prisma.assignment.findUnique({ where: { id: String(assignmentId) } });
+  const member = assignment && await prisma.teamMember.findUnique({ where: { teamId_userId: { teamId: assignment.teamId, userId: data.userId } } });
+  if (!member) throw badRequest('Unknown assignmentId');
+  if (assignment.deadline < new Date()) throw badRequest('This assignment is closed');
+  if (data.mode !== assignment.mode) throw badRequest(`Assignment mode is ${assignment.mode}`);
+  // Only timed tests have a fixed length; for the other modes durationSec is the time taken
+  if (assignment.mode === 'time') {
+    if (data.durationSec != null && data.durationSec !== assignment.durationSec) throw badRequest(`Assignment is ${assignment.durationSec}s`);
+    data.durationSec = assignment.durationSec;
+  }
+  if (assignment.textId) {
+    data.textId = assignment.textId;
+    data.wordListId = null;
+  }
+  data.assignmentId = assignment.id;
+  return assignment;
+}
+
+const EXPORT_COLUMNS = [
+  ['username', r => r.user.username],
+  ['displayName', r => r.user.displayName],
+  'createdAt',
+  'mode',
+  'durationSec',
+  'wpm',
+  'rawWpm',
+  'accuracy',
+  'characters',
+  'status',
+  ['assignment', r => r.assignment?.title],
+  'resultId'
+];
+
+// Members' results (within teamResultScope) as CSV: ?from=&to= (default: last 90 days), ?assignmentId=
+export async function exportTeamResultsCsv(teamId, { from, to, assignmentId } = {}) {
+  const range = { gte: from || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) };
+  if (to) range.lt = to;
+  const filter = { createdAt: range };
+  if (assignmentId) filter.assignmentId = assignmentId;
+  const { where: visible } = await teamResultScope(teamId);
+  const rows = await prisma.testResult.findMany({
+    where: { AND: [visible, filter] },
+    orderBy: [{ createdAt: 'asc' }],
+    take: toInt(process.env.TEAM_EXPORT_MAX_ROWS, 50000),
+    include: { user: { select: { username: true, displayName: true } }, assignment: { select: { title: true } } }
+  });
+  return toCsv(rows.map(r => ({ ...r, resultId: r.id })), EXPORT_COLUMNS);
+}
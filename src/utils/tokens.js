@@ -0,0 +1,11 @@
+import crypto from 'crypto';
+
+// Opaque random token for links / cookies (url-safe)
+export function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Tokens are stored as SHA-256 hashes so a database leak doesn't hand out usable links
+export function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSchema } from '../src/middleware/validate.js';
+import { TEXT_UPDATE_SCHEMA, WORD_LIST_SCHEMA, WORD_LIST_UPDATE_SCHEMA } from '../src/utils/corpus.js';
+
+const rejects = (schema, body, field) => assert.throws(() => checkSchema(schema, body), err => {
+  assert.equal(err.code, 'VALIDATION_ERROR');
+  assert.deepEqual(err.fields.map(f => f.field), [field]);
+  return true;
+});
+
+test('PATCH input cannot null out required text and word list fields', () => {
+  rejects(TEXT_UPDATE_SCHEMA, { title: null }, 'title');
+  rejects(TEXT_UPDATE_SCHEMA, { content: null }, 'content');
+  rejects(WORD_LIST_UPDATE_SCHEMA, { name: null }, 'name');
+});
+
+test('PATCH input can clear the optional source and description', () => {
+  assert.deepEqual(checkSchema(TEXT_UPDATE_SCHEMA, { source: null }), { source: null });
+  assert.deepEqual(checkSchema(WORD_LIST_UPDATE_SCHEMA, { description: null }), { description: null });
+});
+
+test('words accept a whitespace separated string and are de-duplicated', () => {
+  const words = 'one two three four five six seven eight nine ten ten';
+  const { words: parsed } = checkSchema(WORD_LIST_SCHEMA, { name: 'Numbers', words });
+  assert.equal(parsed.length, 10);
+  rejects(WORD_LIST_SCHEMA, { name: 'Short', words: 'one two three' }, 'words');
+});
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+
+/*
+ * fakePrisma.js
+ * ---------------------------------
+ * In-memory stand-in for the Prisma client, covering the model calls the route tests go through.
+ * Install it before importing anything from src/ (src/prismaClient.js reuses globalThis.prisma):
+ *
+ *   const db = installFakePrisma({ uniques: { challengeEntry: [['challengeId', 'userId']] } });
+ *   const { default: router } = await import('../src/routes/testResults.js');
+ *
+ * `where` supports plain equality, `{ in: [...] }` and compound unique keys (userId_mode_durationSec).
+ * Raw SQL is not interpreted: $queryRaw resolves to [] and $executeRaw to 0.
+ */
+
+function matchValue(actual, expected) {
+  if (expected && typeof expected === 'object' && !(expected instanceof Date)) {
+    if ('in' in expected) return expected.in.includes(actual);
+    if ('not' in expected) return actual !== expected.not;
+    return false;
+  }
+  if (actual instanceof Date && expected instanceof Date) return actual.getTime() === expected.getTime();
+  return actual === expected;
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, expected]) => {
+    if (key === 'AND') return expected.every(w => matches(row, w));
+    if (key === 'OR') return expected.some(w => matches(row, w));
+    // Compound unique input: { userId_mode_durationSec: { userId, mode, durationSec } }
+    if (!(key in row) && key.includes('_') && expected && typeof expected === 'object') return matches(row, expected);
+    return matchValue(row[key], expected);
+  });
+}
+
+function notFoundError() {
+  return Object.assign(new Error('Record to update not found.'), { code: 'P2025' });
+}
+
+function createModel(uniques = []) {
+  const rows = [];
+  const duplicates = data => uniques.some(fields => rows.some(row => fields.every(f => row[f] === data[f])));
+  const insert = data => {
+    const row = { id: crypto.randomUUID(), createdAt: new Date(), ...data };
+    rows.push(row);
+    return { ...row };
+  };
+  return {
+    rows,
+    async create({ data }) {
+      if (duplicates(data)) throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      return insert(data);
+    },
+    async createMany({ data, skipDuplicates }) {
+      let count = 0;
+      for (const item of data) {
+        if (duplicates(item)) {
+          if (skipDuplicates) continue;
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+        insert(item);
+        count++;
+      }
+      return { count };
+    },
+    async findUnique({ where }) {
+      const row = rows.find(r => matches(r, where));
+      return row ? { ...row } : null;
+    },
+    async findFirst({ where } = {}) {
+      const row = rows.find(r => matches(r, where));
+      return row ? { ...row } : null;
+    },
+    async findMany({ where } = {}) {
+      return rows.filter(r => matches(r, where)).map(r => ({ ...r }));
+    },
+    async count({ where } = {}) {
+      return rows.filter(r => matches(r, where)).length;
+    },
+    async update({ where, data }) {
+      const row = rows.find(r => matches(r, where));
+      if (!row) throw notFoundError();
+      Object.assign(row, data);
+      return { ...row };
+    },
+    async updateMany({ where, data }) {
+      const hit = rows.filter(r => matches(r, where));
+      hit.forEach(r => Object.assign(r, data));
+      return { count: hit.length };
+    },
+    async delete({ where }) {
+      const index = rows.findIndex(r => matches(r, where));
+      if (index === -1) throw notFoundError();
+      return rows.splice(index, 1)[0];
+    },
+    async deleteMany({ where } = {}) {
+      const keep = rows.filter(r => !matches(r, where));
+      const count = rows.length - keep.length;
+      rows.splice(0, rows.length, ...keep);
+      return { count };
+    }
+  };
+}
+
+// `uniques`: { modelName: [[field, ...], ...] } enforced by create/createMany
+export function createFakePrisma({ uniques = {} } = {}) {
+  const models = {};
+  const client = new Proxy({
+    async $transaction(arg) {
+      return typeof arg === 'function' ? arg(client) : Promise.all(arg);
+    },
+    async $queryRaw() { return []; },
+    async $executeRaw() { return 0; }
+  }, {
+    get(target, name) {
+      if (name in target || typeof name !== 'string' || name === 'then') return target[name];
+      if (!models[name]) models[name] = createModel(uniques[name]);
+      return models[name];
+    }
+  });
+  return client;
+}
+
+export function installFakePrisma(options) {
+  globalThis.prisma = createFakePrisma(options);
+  return globalThis.prisma;
+}
@@ -0,0 +1,29 @@
+import express from 'express';
+import { signUser } from '../../src/auth/jwt.js';
+import { errorHandler } from '../../src/middleware/errors.js';
+
+// Serve `router` at `path` on an ephemeral port, wired like src/index.js (JSON bodies, errorHandler).
+// Returns { request, close }; request(method, url, { body, user }) resolves to { status, body, text }.
+export async function serve(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, { body, user } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    if (user) headers.authorization = `Bearer ${signUser(user)}`;
+    const res = await fetch(base + url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, body: json, text };
+  }
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+}
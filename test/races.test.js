@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+installFakePrisma();
+const { createRaceManager } = await import('../src/utils/races.js');
+
+// A one-player race that is already running; timers fire only when `fire()` is called
+async function runningRace() {
+  const sent = [];
+  const submitted = [];
+  const pending = [];
+  let clock = 0;
+  const manager = createRaceManager({
+    send: (userId, message) => sent.push({ userId, message }),
+    submit: async args => {
+      submitted.push(args);
+      return { result: { id: 'result-1', wpm: args.input.wpm, accuracy: args.input.accuracy, status: 'accepted' } };
+    },
+    loadContent: async () => null,
+    now: () => clock,
+    timers: { setTimeout: fn => pending.push(fn), clearTimeout: () => {} }
+  });
+  const user = { id: 'racer', username: 'racer' };
+  await manager.handle(user, { type: 'create' });
+  await manager.handle(user, { type: 'start' });
+  pending.shift()();
+  clock = 30000;
+  return { manager, user, sent, submitted };
+}
+
+const errors = sent => sent.filter(s => s.message.type === 'error').map(s => s.message);
+
+test('finish refuses fields that would attach a race result to a challenge or assignment', async () => {
+  const { manager, user, sent, submitted } = await runningRace();
+  await manager.handle(user, { type: 'finish', result: { wpm: 60, accuracy: 98, challengeId: 'c1', assignmentId: 'a1' } });
+  const [error] = errors(sent);
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(error.fields.map(f => f.field), ['challengeId', 'assignmentId']);
+  assert.equal(submitted.length, 0);
+  assert.equal(manager.roomOf(user.id).players.get(user.id).place, null);
+});
+
+test('a valid finish is submitted with the room\'s mode and measured duration', async () => {
+  const { manager, user, sent, submitted } = await runningRace();
+  await manager.handle(user, { type: 'finish', result: { wpm: 60, accuracy: 98, characters: 150 } });
+  assert.deepEqual(errors(sent), []);
+  assert.equal(submitted.length, 1);
+  assert.deepEqual(submitted[0].input, { wpm: 60, accuracy: 98, characters: 150, mode: 'race', durationSec: 30, textId: null, seed: submitted[0].input.seed });
+});
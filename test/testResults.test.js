@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+const db = installFakePrisma({ uniques: { challengeEntry: [['challengeId', 'userId']] } });
+const { serve } = await import('./helpers/http.js');
+const { default: router } = await import('../src/routes/testResults.js');
+const { utcDay } = await import('../src/utils/challenges.js');
+
+const user = { id: 'user-1', username: 'typist', provider: 'local' };
+// 60 wpm over 60s: 300 characters
+const dailyRun = { wpm: 60, rawWpm: 62, accuracy: 97, characters: 300, durationSec: 60, mode: 'daily' };
+
+let api;
+before(async () => {
+  await db.user.create({ data: { ...user, role: 'user' } });
+  await db.dailyChallenge.create({ data: { date: utcDay(), seed: 'seed', mode: 'daily', durationSec: 60 } });
+  api = await serve('/test-results', router);
+});
+after(() => api.close());
+
+test('deleting the ranked daily result is refused, so a resubmission stays unranked', async () => {
+  const first = await api.request('POST', '/test-results', { user, body: dailyRun });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.ranked, true);
+
+  const removed = await api.request('DELETE', `/test-results/${first.body.id}`, { user });
+  assert.equal(removed.status, 409);
+  assert.equal(removed.body.code, 'RESULT_LOCKED');
+  assert.equal(db.challengeEntry.rows.length, 1);
+
+  const second = await api.request('POST', '/test-results', { user, body: { ...dailyRun, wpm: 90, rawWpm: 92, characters: 450 } });
+  assert.equal(second.status, 201);
+  assert.equal(second.body.ranked, false);
+  assert.equal(db.challengeEntry.rows[0].resultId, first.body.id);
+});
+
+test('ordinary results can still be deleted by their owner', async () => {
+  const created = await api.request('POST', '/test-results', { user, body: { ...dailyRun, mode: 'time' } });
+  assert.equal(created.status, 201);
+  const removed = await api.request('DELETE', `/test-results/${created.body.id}`, { user });
+  assert.equal(removed.status, 204);
+});
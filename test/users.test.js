@@ -0,0 +1,28 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+const db = installFakePrisma();
+const { serve } = await import('./helpers/http.js');
+const { default: router } = await import('../src/routes/users.js');
+
+let api;
+before(async () => {
+  await db.user.create({ data: { id: 'verified', username: 'verified', email: 'verified@example.com', emailVerifiedAt: new Date() } });
+  await db.user.create({ data: { id: 'cooling', username: 'cooling', email: 'cooling@example.com', emailVerifiedAt: null, emailVerificationSentAt: new Date() } });
+  api = await serve('/users', router);
+});
+after(() => api.close());
+
+// The per-IP limiter allows three resends, so this is one request per account
+test('resend-verification answers verified, cooling-down and unknown accounts byte-identically', async () => {
+  const verified = await api.request('POST', '/users/resend-verification', { body: { email: 'verified@example.com' } });
+  const cooling = await api.request('POST', '/users/resend-verification', { body: { email: 'cooling@example.com' } });
+  const unknown = await api.request('POST', '/users/resend-verification', { body: { email: 'nobody@example.com' } });
+  assert.equal(verified.status, 202);
+  assert.deepEqual(verified.body, { success: true, cooldownSec: 120 });
+  assert.equal(cooling.status, verified.status);
+  assert.equal(cooling.text, verified.text);
+  assert.equal(unknown.text, verified.text);
+  assert.equal(db.emailOutbox.rows.length, 0);
+});
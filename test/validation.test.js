@@ -0,0 +1,39 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+installFakePrisma();
+const { serve } = await import('./helpers/http.js');
+const { default: authRouter } = await import('../src/routes/auth.js');
+const { default: suggestionsRouter } = await import('../src/routes/suggestions.js');
+
+let api;
+before(async () => {
+  const router = express.Router();
+  router.use('/auth', authRouter);
+  router.use('/suggestions', suggestionsRouter);
+  api = await serve('', router);
+});
+after(() => api.close());
+
+const invalidFields = res => {
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'VALIDATION_ERROR');
+  return res.body.fields.map(f => f.field);
+};
+
+test('a request without a JSON body is a validation error, not a 500', async () => {
+  assert.deepEqual(invalidFields(await api.request('POST', '/auth/forgot-password')), ['email']);
+  assert.deepEqual(invalidFields(await api.request('POST', '/auth/reset-password')), ['token', 'password']);
+  assert.deepEqual(invalidFields(await api.request('POST', '/suggestions')), ['message']);
+});
+
+test('unknown fields are rejected', async () => {
+  assert.deepEqual(invalidFields(await api.request('POST', '/auth/forgot-password', { body: { email: 'a@example.com', admin: true } })), ['admin']);
+});
+
+test('reset-password applies the 6-128 password rule', async () => {
+  assert.deepEqual(invalidFields(await api.request('POST', '/auth/reset-password', { body: { token: 't', password: 'x'.repeat(129) } })), ['password']);
+  assert.deepEqual(invalidFields(await api.request('POST', '/auth/reset-password', { body: { token: 't', password: '12345' } })), ['password']);
+});